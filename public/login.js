@@ -0,0 +1,69 @@
+/*
+  Login screen logic
+  - Signs in through POST /api/auth/login; the server sets the session
+    cookie, so the task list works straight after.
+  - When no account exists yet (GET /api/auth/session says setupRequired)
+    the form creates the first one through POST /api/users instead.
+  - Already signed in: straight on to the task list.
+*/
+
+const loginForm = document.getElementById('loginForm');
+const loginError = document.getElementById('loginError');
+let setupMode = false;
+
+document.documentElement.setAttribute('data-theme', localStorage.getItem('theme') || 'blue');
+
+function showError(message) {
+  loginError.textContent = message;
+  loginError.hidden = !message;
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return res.json();
+}
+
+(async function checkSession() {
+  const res = await fetch('/api/auth/session');
+  const data = await res.json();
+  if (data.ok) {
+    location.replace('/');
+    return;
+  }
+  if (data.setupRequired) {
+    setupMode = true;
+    document.getElementById('loginTitle').textContent = 'Create the first account';
+    document.getElementById('loginBtn').textContent = 'Create account';
+    document.getElementById('displayNameRow').hidden = false;
+    document.getElementById('setupHint').hidden = false;
+    document.getElementById('password').autocomplete = 'new-password';
+  }
+})();
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  showError('');
+  const formData = new FormData(loginForm);
+  const username = formData.get('username');
+  const password = formData.get('password');
+
+  if (setupMode) {
+    const name = formData.get('name').trim();
+    const created = await postJson('/api/users', { username, password, ...(name && { name }) });
+    if (!created.ok) {
+      showError(created.error || 'Failed to create the account.');
+      return;
+    }
+  }
+
+  const data = await postJson('/api/auth/login', { username, password });
+  if (!data.ok) {
+    showError(data.error || 'Failed to sign in.');
+    return;
+  }
+  location.replace('/');
+});
@@ -1,19 +1,84 @@
 /* 
   Frontend logic - Version 1.2
   - Theme switcher (red/blue/green) persisted in localStorage.
-  - Priority tasks: checkbox disables date/time; appear at top of Dashboard.
+  - Priority levels (low/normal/high/urgent) alongside due dates; the
+    Dashboard sorts by level, then due time, and always shows urgent tasks.
   - v1.0 behaviors intact (notifications for dated tasks, delete, polling).
+  - Inline edit mode on task cards (PATCH /api/tasks/:id).
+  - Complete/Reopen buttons; completed tasks move to the Completed list.
+  - "Undo" toast after deleting a task (POST /api/tasks/:id/restore).
+  - Conditional polling (ETag / If-None-Match) and If-Match on task changes.
+  - Live updates from /api/stream (SSE); polling only while the stream is down.
+  - Due-date reminders come from the server (`reminder` stream messages).
+  - Recurring tasks: "Repeats" on the form, a recurrence badge, and the next
+    occurrences previewed in the Scheduled list.
+  - Tasks carry the creator's time zone; due times (the server's UTC dueAt)
+    show in the viewer's zone, with the original zone when it differs.
+  - The create form checks input with the API's own schema (task-schema.js)
+    and shows problems next to the fields.
+  - "Find Tasks" searches and filters through GET /api/tasks query parameters;
+    a chosen sort replaces the usual ordering within each list.
+  - Tags: entered comma-separated, shown as colored chips; clicking a chip (or
+    picking from the Tag filter, filled from /api/tags) shows that tag's tasks.
+  - Checklists on task cards with a "3/5 done" progress line; items are added,
+    checked and removed through /api/tasks/:id/checklist.
+  - Dependencies: "Blocked by" in the edit form; cards of tasks waiting on
+    open tasks say what they are blocked by.
+  - Boards: the header switcher (persisted in localStorage) lists one
+    board's tasks through /api/boards/:boardId/tasks, or all of them; new
+    tasks go on the chosen board.
+  - Accounts: without a session every page load goes to login.html; the
+    header says who is signed in, and cards show who created a task and
+    who it is assigned to (picked on the forms from /api/users).
+  - Roles: only the controls the signed-in user's role allows are shown
+    (viewers read, members edit, owners also delete); the server enforces it.
+  - "Activity" on a card opens its feed from /api/tasks/:id/activity: who
+    created, edited, completed, deleted or restored it, with comment threads
+    in between; members can comment and reply.
 */
 
 const scheduledList = document.getElementById('scheduledList');
 const dashboardList = document.getElementById('dashboardList');
+const completedList = document.getElementById('completedList');
 const form = document.getElementById('taskForm');
 const themeSelect = document.getElementById('themeSelect');
-const priorityCheckbox = document.getElementById('priority');
-const dateInput = document.getElementById('date');
-const timeInput = document.getElementById('time');
+const filterForm = document.getElementById('filterForm');
+const filterSummary = document.getElementById('filterSummary');
+const filterTag = document.getElementById('filterTag');
+const boardSelect = document.getElementById('boardSelect');
+const newBoardBtn = document.getElementById('newBoardBtn');
+const userNameEl = document.getElementById('userName');
+const signOutBtn = document.getElementById('signOutBtn');
+const assigneeSelect = document.getElementById('assignee');
 
-const notified = new Set();
+// The viewer's IANA time zone; sent with new tasks
+const viewerTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Conditional polling state: last task list, its ETag, and when the next
+// scheduled task falls due (the only reason to re-render unchanged data)
+let lastTasks = [];
+let tasksEtag = null;
+let nextDueAt = Infinity;
+// Query string and board the current list and ETag belong to
+let tasksQuery = '';
+let tasksBoard = '';
+// Board whose tasks are shown ('' = all boards)
+let currentBoard = localStorage.getItem('board') || '';
+// Everyone tasks can be assigned to, by id
+let users = new Map();
+// The signed-in user, once the session is known
+let currentUser = null;
+// Tasks whose activity feed is open
+const openActivity = new Set();
+
+// Lowest first, as ROLES in src/auth: each role may do what those before it may
+const ROLE_ORDER = ['viewer', 'member', 'owner', 'admin'];
+
+// Live updates: the open EventSource, whether it is connected, and the seq of
+// the last event it delivered (to resume from after it gives up)
+let stream = null;
+let streamOpen = false;
+let lastEventId = null;
 
 /** Theme initialization and persistence */
 (function initTheme() {
@@ -29,21 +94,103 @@ const notified = new Set();
   }
 })();
 
-/** Priority UI behavior: disable/clear date/time when checked */
-(function initPriorityToggle() {
-  function apply() {
-    const on = priorityCheckbox.checked;
-    dateInput.disabled = on;
-    timeInput.disabled = on;
-    if (on) {
-      dateInput.value = '';
-      timeInput.value = '';
-    }
+/** Off to the login screen, e.g. once the session has expired */
+function toLogin() {
+  location.replace('/login.html');
+}
+
+/** Display name for a user id; ids we don't know are shown as they are */
+function userLabel(id) {
+  const user = users.get(id);
+  return user ? user.name : id;
+}
+
+/** Options for picking an assignee: nobody, then every user */
+function fillAssigneeOptions(select, selected = '') {
+  select.length = 0;
+  select.appendChild(new Option('Unassigned', ''));
+  for (const user of users.values()) select.appendChild(new Option(user.name, user.id));
+  if (selected && !users.has(selected)) select.appendChild(new Option(selected, selected));
+  select.value = selected || '';
+}
+
+async function loadUsers() {
+  const res = await fetch('/api/users');
+  const data = await res.json();
+  if (!data.ok) return;
+  users = new Map(data.users.map(user => [user.id, user]));
+  if (assigneeSelect) fillAssigneeOptions(assigneeSelect, assigneeSelect.value);
+}
+
+/** Whether the signed-in user's role is `role` or above */
+function can(role) {
+  return !!currentUser && ROLE_ORDER.indexOf(currentUser.role) >= ROLE_ORDER.indexOf(role);
+}
+
+/** Who is signed in, shown in the header with a Sign out button */
+(async function initSession() {
+  const res = await fetch('/api/auth/session');
+  if (res.status === 401) return toLogin();
+  const data = await res.json();
+  if (!data.ok) return;
+  currentUser = data.user;
+  if (userNameEl) userNameEl.textContent = `${data.user.name} (${data.user.role})`;
+  form.closest('section').hidden = !can('member');
+  if (newBoardBtn) newBoardBtn.hidden = !can('member');
+  if (signOutBtn) {
+    signOutBtn.addEventListener('click', async () => {
+      await fetch('/api/auth/logout', { method: 'POST' });
+      toLogin();
+    });
   }
-  if (priorityCheckbox) {
-    priorityCheckbox.addEventListener('change', apply);
-    apply();
+  await loadUsers();
+  render(lastTasks);
+})();
+
+/** Fill the board switcher from /api/boards; falls back to all boards if ours is gone */
+async function loadBoards() {
+  if (!boardSelect) return;
+  const res = await fetch('/api/boards');
+  const data = await res.json();
+  if (!data.ok) return;
+  boardSelect.length = 1;
+  for (const { id, name, openCount } of data.boards) boardSelect.appendChild(new Option(`${name} (${openCount})`, id));
+  if (currentBoard && !data.boards.some(board => board.id === currentBoard)) {
+    switchBoard('');
+    return;
   }
+  boardSelect.value = currentBoard;
+}
+
+function switchBoard(id) {
+  currentBoard = id;
+  if (id) localStorage.setItem('board', id);
+  else localStorage.removeItem('board');
+  if (boardSelect) boardSelect.value = id;
+  loadAndRender();
+}
+
+(function initBoards() {
+  if (!boardSelect) return;
+  boardSelect.addEventListener('change', () => switchBoard(boardSelect.value));
+  newBoardBtn.addEventListener('click', async () => {
+    const name = prompt('Name of the new board:');
+    if (!name || !name.trim()) return;
+    const res = await fetch('/api/boards', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    const data = await res.json();
+    if (!data.ok) {
+      alert(data.error || 'Failed to create board.');
+      return;
+    }
+    currentBoard = data.board.id;
+    await loadBoards();
+    switchBoard(data.board.id);
+  });
+  loadBoards();
 })();
 
 /** Notifications permission*/
@@ -53,55 +200,389 @@ if ('Notification' in window) {
   }
 }
 
+/** When a task is due (ms), from the server's UTC dueAt; NaN if it has none */
 function taskDueTs(task) {
-  if (!task.date || !task.time) return NaN;
-  const [y, m, d] = task.date.split('-').map(Number);
-  const [hh, mm] = task.time.split(':').map(Number);
-  const dt = new Date(y, (m - 1), d, hh || 0, mm || 0, 0, 0);
-  return dt.getTime();
+  return task.dueAt ? Date.parse(task.dueAt) : NaN;
+}
+
+/**
+ * Due date and time in the viewer's zone, plus the wall-clock time in the
+ * task's own zone when that is a different one.
+ */
+function formatDue(task) {
+  const local = new Date(task.dueAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  if (!task.timezone || task.timezone === viewerTimezone) return `Due: ${local}`;
+  return `Due: ${local} (${task.date} ${task.time} ${task.timezone})`;
+}
+
+/** Query string for GET /api/tasks from the Find Tasks form ('' = everything) */
+function taskQuery() {
+  const params = new URLSearchParams();
+  if (!filterForm) return '';
+  for (const [key, value] of new FormData(filterForm)) {
+    if (!value.trim()) continue;
+    if (key === 'sort') {
+      const [sort, order] = value.split(':');
+      params.set('sort', sort);
+      params.set('order', order);
+    } else if (key === 'dueAfter' || key === 'dueBefore') {
+      // Picked in the viewer's local time; the API takes ISO timestamps
+      params.set(key, new Date(value).toISOString());
+    } else {
+      params.set(key, value.trim());
+    }
+  }
+  return params.toString();
+}
+
+/** Position of a priority level, lowest first */
+function priorityRank(level) {
+  return TaskSchema.PRIORITY_LEVELS.indexOf(level);
+}
+
+/** Earlier due time first; tasks without one after those with one */
+function compareDue(a, b) {
+  const dueA = taskDueTs(a);
+  const dueB = taskDueTs(b);
+  if (Number.isNaN(dueA) || Number.isNaN(dueB)) return Number.isNaN(dueA) - Number.isNaN(dueB);
+  return dueA - dueB;
 }
 
 function render(tasks) {
   scheduledList.innerHTML = '';
   dashboardList.innerHTML = '';
+  completedList.innerHTML = '';
 
   const now = Date.now();
   const scheduled = [];
   const active = [];
-  const priority = [];
+  const completed = [];
 
   for (const t of tasks) {
-    if (t.priority) {
-      // Priority tasks are always active and pinned
-      priority.push(t);
-      continue;
-    }
-    const due = taskDueTs(t);
-    if (Number.isNaN(due)) {
-      active.push(t);
+    if (t.status === 'completed') {
+      completed.push(t);
       continue;
     }
-    if (due > now) scheduled.push(t);
+    // Urgent tasks stay on the Dashboard even before they are due
+    if (t.priority !== 'urgent' && taskDueTs(t) > now) scheduled.push(t);
     else active.push(t);
   }
 
-  // Sort groups:
-  scheduled.sort((a, b) => (taskDueTs(a) || Infinity) - (taskDueTs(b) || Infinity));
-  active.sort((a, b) => (taskDueTs(b) || 0) - (taskDueTs(a) || 0));
-  // Priority group could be sorted by createdAt desc for visibility
-  priority.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  // Upcoming occurrences of recurring tasks, as previews
+  const previews = [];
+  for (const t of [...scheduled, ...active]) {
+    for (const { date, dueAt } of t.upcoming || []) previews.push({ ...t, date, dueAt, preview: true });
+  }
+  scheduled.push(...previews);
+
+  // Sort groups, unless the viewer picked a sort (the server's order stands)
+  if (!new URLSearchParams(tasksQuery).has('sort')) {
+    scheduled.sort((a, b) => (taskDueTs(a) || Infinity) - (taskDueTs(b) || Infinity));
+    // Dashboard: highest level first, then soonest due, undated last
+    active.sort((a, b) => priorityRank(b.priority) - priorityRank(a.priority) || compareDue(a, b));
+    // Most recently completed first
+    completed.sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+  }
+
+  nextDueAt = Math.min(Infinity, ...scheduled.map(taskDueTs).filter(ts => !Number.isNaN(ts)));
 
-  // Render scheduled (non-priority & future)
-  for (const t of scheduled) scheduledList.appendChild(taskItem(t, false));
+  if (filterSummary) {
+    filterSummary.hidden = !tasksQuery;
+    filterSummary.textContent = `${tasks.length} matching task${tasks.length === 1 ? '' : 's'}`;
+  }
+
+  // Render scheduled (future, not urgent)
+  for (const t of scheduled) {
+    scheduledList.appendChild(t.preview ? occurrenceItem(t) : taskItem(t, false));
+  }
 
-  // Render dashboard: priority first, then the rest
-  for (const t of priority) dashboardList.appendChild(taskItem(t, true));
   for (const t of active) dashboardList.appendChild(taskItem(t, true));
+
+  for (const t of completed) completedList.appendChild(taskItem(t, true));
+}
+
+/** Short label for a recurrence rule, e.g. "WEEKLY" or "EVERY 2 MONTHS" */
+function recurrenceLabel(recurrence) {
+  const units = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+  if (recurrence.interval === 1) return recurrence.freq.toUpperCase();
+  return `EVERY ${recurrence.interval} ${units[recurrence.freq].toUpperCase()}S`;
+}
+
+function recurrenceBadge(recurrence) {
+  const badge = document.createElement('span');
+  badge.className = 'badge recurrence';
+  badge.textContent = `↻ ${recurrenceLabel(recurrence)}`;
+  return badge;
+}
+
+/** A future occurrence of a recurring task; read-only until it exists */
+function occurrenceItem(task) {
+  const li = document.createElement('li');
+  li.className = 'task upcoming';
+
+  const left = document.createElement('div');
+  const title = document.createElement('div');
+  title.className = 'title';
+  title.appendChild(recurrenceBadge(task.recurrence));
+  const titleText = document.createElement('span');
+  titleText.textContent = task.name;
+  title.appendChild(titleText);
+
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  meta.textContent = task.dueAt ? `Upcoming • ${formatDue(task)}` : `Upcoming • Date: ${task.date}`;
+
+  left.appendChild(title);
+  left.appendChild(meta);
+  li.appendChild(left);
+  return li;
+}
+
+/** Tags as typed into a text field: comma-separated; the schema tidies them */
+function parseTagInput(text) {
+  return String(text || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/** A stable hue per tag name, so a tag has the same color everywhere */
+function tagHue(name) {
+  let hash = 0;
+  for (const ch of name) hash = (hash * 31 + ch.codePointAt(0)) % 360;
+  return hash;
+}
+
+/** Colored tag chips; clicking one shows only that tag's tasks */
+function tagChips(tags) {
+  const wrap = document.createElement('div');
+  wrap.className = 'tags';
+  for (const name of tags) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'tag';
+    chip.textContent = name;
+    chip.title = `Show tasks tagged "${name}"`;
+    chip.style.setProperty('--tag-hue', tagHue(name));
+    chip.onclick = () => showTag(name);
+    wrap.appendChild(chip);
+  }
+  return wrap;
+}
+
+/** Switch the Tag filter to `name` and reload */
+function showTag(name) {
+  if (!filterTag) return;
+  if (![...filterTag.options].some(option => option.value === name)) {
+    filterTag.appendChild(new Option(name, name));
+  }
+  filterTag.value = name;
+  loadAndRender();
+}
+
+/** Refill the Tag filter from /api/tags, keeping the current choice */
+async function loadTags() {
+  if (!filterTag) return;
+  const res = await fetch(currentBoard ? `/api/tags?board=${encodeURIComponent(currentBoard)}` : '/api/tags');
+  const data = await res.json();
+  if (!data.ok) return;
+  const selected = filterTag.value;
+  filterTag.length = 1;
+  for (const { name, count } of data.tags) filterTag.appendChild(new Option(`${name} (${count})`, name));
+  if (selected && !data.tags.some(tag => tag.name === selected)) filterTag.appendChild(new Option(selected, selected));
+  filterTag.value = selected;
+}
+
+/** Checklist with its progress; each change goes straight to the server */
+function checklistBlock(task) {
+  const items = task.checklist || [];
+  const wrap = document.createElement('div');
+  wrap.className = 'checklist';
+
+  if (items.length) {
+    const done = items.filter(item => item.done).length;
+    const progress = document.createElement('div');
+    progress.className = 'progress';
+    const bar = document.createElement('progress');
+    bar.max = items.length;
+    bar.value = done;
+    const label = document.createElement('span');
+    label.textContent = `${done}/${items.length} done`;
+    progress.appendChild(bar);
+    progress.appendChild(label);
+    wrap.appendChild(progress);
+  }
+
+  const list = document.createElement('ul');
+  for (const item of items) {
+    const row = document.createElement('li');
+    const label = document.createElement('label');
+    label.className = item.done ? 'checkbox done' : 'checkbox';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = item.done;
+    box.disabled = !can('member');
+    box.onchange = async () => {
+      await mutateTask(task, `/checklist/${encodeURIComponent(item.id)}/toggle`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ done: box.checked })
+      });
+      await loadAndRender();
+    };
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(` ${item.text}`));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'remove-item';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove item';
+    removeBtn.onclick = async () => {
+      await mutateTask(task, `/checklist/${encodeURIComponent(item.id)}`, { method: 'DELETE' });
+      await loadAndRender();
+    };
+
+    row.appendChild(label);
+    if (can('member')) row.appendChild(removeBtn);
+    list.appendChild(row);
+  }
+  if (items.length) wrap.appendChild(list);
+
+  if (task.status !== 'completed' && can('member')) {
+    const addForm = document.createElement('form');
+    addForm.className = 'add-item';
+    const textIn = document.createElement('input');
+    textIn.type = 'text';
+    textIn.placeholder = 'Add checklist item';
+    textIn.maxLength = TaskSchema.CHECKLIST_ITEM_FIELDS.text.maxLength;
+    addForm.appendChild(textIn);
+    addForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!textIn.value.trim()) return;
+      await mutateTask(task, '/checklist', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: textIn.value })
+      });
+      await loadAndRender();
+    });
+    wrap.appendChild(addForm);
+  }
+  return wrap;
+}
+
+/** What an activity entry says happened, e.g. "Ada changed Name, Priority" */
+function activityText(entry) {
+  const who = entry.actor === 'system' ? 'The server' : userLabel(entry.actor);
+  if (entry.type === 'edited') {
+    return `${who} changed ${entry.fields.map(field => TaskSchema.LABELS[field] || field).join(', ')}`;
+  }
+  if (entry.auto) return 'Completed automatically once the checklist was done';
+  return `${who} ${entry.type} the task`;
+}
+
+/** Form for a new comment, or a reply when parentId is given */
+function commentForm(task, parentId, onDone) {
+  const commentForm = document.createElement('form');
+  commentForm.className = 'comment-form';
+  const textIn = document.createElement('textarea');
+  textIn.rows = 2;
+  textIn.required = true;
+  textIn.maxLength = TaskSchema.COMMENT_FIELDS.text.maxLength;
+  textIn.placeholder = parentId ? 'Reply…' : 'Add a comment…';
+  const sendBtn = document.createElement('button');
+  sendBtn.type = 'submit';
+  sendBtn.textContent = parentId ? 'Reply' : 'Comment';
+  commentForm.appendChild(textIn);
+  commentForm.appendChild(sendBtn);
+
+  commentForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { value, errors } = TaskSchema.validateComment({ text: textIn.value, ...(parentId && { parentId }) });
+    if (errors.length) {
+      alert(errors.map(error => error.message).join('\n'));
+      return;
+    }
+    const res = await fetch(`/api/tasks/${encodeURIComponent(task.id)}/comments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(value)
+    });
+    const data = await res.json();
+    if (!data.ok) {
+      alert(data.error || 'Failed to add comment.');
+      return;
+    }
+    onDone();
+  });
+  return commentForm;
+}
+
+/** A comment with its replies nested below it */
+function commentThread(task, comment, refresh) {
+  const item = document.createElement('li');
+  item.className = 'comment';
+  const head = document.createElement('div');
+  head.className = 'meta';
+  head.textContent = `${userLabel(comment.author)} • ${new Date(comment.createdAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}`;
+  const text = document.createElement('div');
+  text.className = 'comment-text';
+  text.textContent = comment.text;
+  item.appendChild(head);
+  item.appendChild(text);
+
+  if (can('member')) {
+    const replyBtn = document.createElement('button');
+    replyBtn.type = 'button';
+    replyBtn.className = 'reply-btn';
+    replyBtn.textContent = 'Reply';
+    replyBtn.onclick = () => replyBtn.replaceWith(commentForm(task, comment.id, refresh));
+    item.appendChild(replyBtn);
+  }
+
+  if (comment.replies.length) {
+    const replies = document.createElement('ul');
+    for (const reply of comment.replies) replies.appendChild(commentThread(task, reply, refresh));
+    item.appendChild(replies);
+  }
+  return item;
+}
+
+/** The task's activity feed, loaded from the server each time it is shown */
+function activityBlock(task) {
+  const wrap = document.createElement('div');
+  wrap.className = 'activity';
+  wrap.textContent = 'Loading activity…';
+  const refresh = () => wrap.replaceWith(activityBlock(task));
+
+  (async () => {
+    const res = await fetch(`/api/tasks/${encodeURIComponent(task.id)}/activity`);
+    const data = await res.json();
+    wrap.textContent = '';
+    if (!data.ok) {
+      wrap.textContent = data.error || 'Failed to load activity.';
+      return;
+    }
+    const list = document.createElement('ul');
+    for (const entry of data.activity) {
+      if (entry.type === 'comment') {
+        list.appendChild(commentThread(task, entry.comment, refresh));
+        continue;
+      }
+      const item = document.createElement('li');
+      item.className = 'meta';
+      const when = entry.at ? ` • ${new Date(entry.at).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}` : '';
+      item.textContent = `${activityText(entry)}${when}`;
+      list.appendChild(item);
+    }
+    wrap.appendChild(list);
+    if (can('member')) wrap.appendChild(commentForm(task, null, refresh));
+  })();
+  return wrap;
 }
 
 function taskItem(task, isActive) {
   const li = document.createElement('li');
-  li.className = 'task';
+  li.className = task.status === 'completed' ? 'task completed' : 'task';
+  if (task.blocked) li.classList.add('blocked');
 
   const left = document.createElement('div');
   const right = document.createElement('div');
@@ -110,39 +591,111 @@ function taskItem(task, isActive) {
   const title = document.createElement('div');
   title.className = 'title';
 
-  if (task.priority) {
+  if (task.priority && task.priority !== TaskSchema.DEFAULT_PRIORITY) {
     const badge = document.createElement('span');
-    badge.className = 'badge';
-    badge.textContent = 'PRIORITY';
+    badge.className = `badge priority-${task.priority}`;
+    badge.textContent = task.priority.toUpperCase();
     title.appendChild(badge);
   }
 
+  if (task.recurrence) title.appendChild(recurrenceBadge(task.recurrence));
+
   const titleText = document.createElement('span');
   titleText.textContent = task.name;
   title.appendChild(titleText);
 
   const meta = document.createElement('div');
   meta.className = 'meta';
-  const dateStr = task.date ? `Date: ${task.date}` : 'No date';
-  const timeStr = task.time ? `Time: ${task.time}` : 'No time';
-  meta.textContent = `${dateStr} • ${timeStr} • ID: ${task.id}`;
+  if (task.dueAt) {
+    meta.textContent = `${formatDue(task)} • ID: ${task.id}`;
+  } else {
+    const dateStr = task.date ? `Date: ${task.date}` : 'No date';
+    const timeStr = task.time ? `Time: ${task.time}` : 'No time';
+    meta.textContent = `${dateStr} • ${timeStr} • ID: ${task.id}`;
+  }
 
   const desc = document.createElement('div');
   desc.className = 'desc';
   desc.textContent = task.description || '';
 
   left.appendChild(title);
+  if (task.tags && task.tags.length) left.appendChild(tagChips(task.tags));
   left.appendChild(meta);
+  if (task.createdBy || task.assignee) {
+    const people = document.createElement('div');
+    people.className = 'meta people';
+    people.textContent = [
+      task.createdBy && `Created by ${userLabel(task.createdBy)}`,
+      task.assignee ? `Assigned to ${userLabel(task.assignee)}` : 'Unassigned'
+    ].filter(Boolean).join(' • ');
+    left.appendChild(people);
+  }
+  if (task.blocked) {
+    const blockedBy = document.createElement('div');
+    blockedBy.className = 'meta blocked-by';
+    blockedBy.textContent = `Blocked by ${task.blockers.map(blocker => blocker.name).join(', ')}`;
+    left.appendChild(blockedBy);
+  }
   if (task.description) left.appendChild(desc);
+  left.appendChild(checklistBlock(task));
+  if (openActivity.has(task.id)) left.appendChild(activityBlock(task));
 
-  if (isActive) {
+  // Viewers only read
+  if (can('member')) {
+    if (task.status === 'completed') {
+      const reopenBtn = document.createElement('button');
+      reopenBtn.className = 'reopen-btn';
+      reopenBtn.textContent = 'Reopen';
+      reopenBtn.onclick = async () => {
+        await mutateTask(task, '/reopen', { method: 'POST' });
+        await loadAndRender();
+      };
+      right.appendChild(reopenBtn);
+    } else {
+      const completeBtn = document.createElement('button');
+      completeBtn.className = 'complete-btn';
+      completeBtn.textContent = 'Complete';
+      completeBtn.onclick = async () => {
+        await mutateTask(task, '/complete', { method: 'POST' });
+        await loadAndRender();
+      };
+      right.appendChild(completeBtn);
+    }
+  }
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'edit-btn';
+  editBtn.textContent = 'Edit';
+  editBtn.onclick = () => {
+    li.replaceWith(editItem(task, isActive));
+  };
+  if (can('member')) right.appendChild(editBtn);
+
+  const activityBtn = document.createElement('button');
+  activityBtn.className = 'activity-btn';
+  activityBtn.textContent = openActivity.has(task.id) ? 'Hide activity' : 'Activity';
+  activityBtn.onclick = () => {
+    if (openActivity.has(task.id)) openActivity.delete(task.id);
+    else openActivity.add(task.id);
+    li.replaceWith(taskItem(task, isActive));
+  };
+  right.appendChild(activityBtn);
+
+  if (isActive && can('owner')) {
     const delBtn = document.createElement('button');
     delBtn.className = 'delete-btn';
     delBtn.textContent = 'Delete';
     delBtn.onclick = async () => {
       if (!confirm('Delete this task?')) return;
-      await fetch(`/api/tasks/${encodeURIComponent(task.id)}`, { method: 'DELETE' });
+      const data = await mutateTask(task, '', { method: 'DELETE' });
       await loadAndRender();
+      if (!data.ok) return;
+      showToast(`Deleted "${task.name}"`, 'Undo', async () => {
+        const res = await fetch(`/api/tasks/${encodeURIComponent(task.id)}/restore`, { method: 'POST' });
+        const data = await res.json();
+        if (!data.ok) alert(data.error || 'Failed to restore task.');
+        await loadAndRender();
+      });
     };
     right.appendChild(delBtn);
   }
@@ -152,64 +705,399 @@ function taskItem(task, isActive) {
   return li;
 }
 
-async function loadAndRender() {
-  const res = await fetch('/api/tasks');
+/** Inline edit mode: swaps a task card for a small form that PATCHes changes */
+function editItem(task, isActive) {
+  const li = document.createElement('li');
+  li.className = 'task editing';
+
+  const editForm = document.createElement('form');
+  editForm.className = 'edit-form';
+
+  const nameIn = document.createElement('input');
+  nameIn.type = 'text';
+  nameIn.required = true;
+  nameIn.value = task.name;
+
+  const dateIn = document.createElement('input');
+  dateIn.type = 'date';
+  dateIn.value = task.date || '';
+
+  const timeIn = document.createElement('input');
+  timeIn.type = 'time';
+  timeIn.value = task.time || '';
+  // Date and time stay in the zone the task was created in
+  if (task.timezone) timeIn.title = `Time in ${task.timezone}`;
+
+  const prioIn = document.createElement('select');
+  prioIn.title = 'Priority';
+  for (const level of TaskSchema.PRIORITY_LEVELS) {
+    prioIn.appendChild(new Option(level[0].toUpperCase() + level.slice(1), level));
+  }
+  prioIn.value = task.priority || TaskSchema.DEFAULT_PRIORITY;
+
+  const assigneeIn = document.createElement('select');
+  assigneeIn.title = 'Assignee';
+  fillAssigneeOptions(assigneeIn, task.assignee || '');
+
+  const descIn = document.createElement('textarea');
+  descIn.rows = 2;
+  descIn.value = task.description || '';
+
+  const autoLabel = document.createElement('label');
+  autoLabel.className = 'checkbox';
+  const autoIn = document.createElement('input');
+  autoIn.type = 'checkbox';
+  autoIn.checked = !!task.autoComplete;
+  autoLabel.appendChild(autoIn);
+  autoLabel.appendChild(document.createTextNode(' Complete when the checklist is done'));
+
+  // Other tasks this one can wait on; blockers missing from the list (deleted,
+  // or filtered out) are kept as they are
+  const blockedIn = document.createElement('select');
+  blockedIn.multiple = true;
+  blockedIn.title = 'Blocked by (Ctrl/Cmd-click to pick several)';
+  const current = task.blockedBy || [];
+  const candidates = lastTasks.filter(t => t.id !== task.id && (t.status === 'open' || current.includes(t.id)));
+  for (const t of candidates) {
+    const option = new Option(t.name, t.id);
+    option.selected = current.includes(t.id);
+    blockedIn.appendChild(option);
+  }
+  const hiddenBlockers = current.filter(id => !candidates.some(t => t.id === id));
+
+  const tagsIn = document.createElement('input');
+  tagsIn.type = 'text';
+  tagsIn.placeholder = 'Tags, comma-separated';
+  tagsIn.value = (task.tags || []).join(', ');
+
+  const dateTime = document.createElement('div');
+  dateTime.className = 'row two-col';
+  dateTime.appendChild(dateIn);
+  dateTime.appendChild(timeIn);
+
+  const controls = document.createElement('div');
+  controls.className = 'controls';
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.textContent = 'Save';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'cancel-btn';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.onclick = () => {
+    li.replaceWith(taskItem(task, isActive));
+    // Catch up on changes that arrived while the form was open
+    if (!document.querySelector('.task.editing')) render(lastTasks);
+  };
+  controls.appendChild(saveBtn);
+  controls.appendChild(cancelBtn);
+
+  editForm.appendChild(nameIn);
+  editForm.appendChild(dateTime);
+  editForm.appendChild(prioIn);
+  editForm.appendChild(assigneeIn);
+  editForm.appendChild(tagsIn);
+  if (candidates.length) editForm.appendChild(blockedIn);
+  editForm.appendChild(descIn);
+  editForm.appendChild(autoLabel);
+  editForm.appendChild(controls);
+
+  editForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const data = await mutateTask(task, '', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: nameIn.value,
+        date: dateIn.value,
+        time: timeIn.value,
+        priority: prioIn.value,
+        assignee: assigneeIn.value || null,
+        description: descIn.value,
+        tags: parseTagInput(tagsIn.value),
+        blockedBy: [...hiddenBlockers, ...[...blockedIn.selectedOptions].map(option => option.value)],
+        autoComplete: autoIn.checked
+      })
+    });
+    // On a conflict, show what the task looks like now instead of the form
+    if (!data.ok && !data.task) return;
+    li.replaceWith(taskItem(data.task, isActive));
+    await loadAndRender();
+  });
+
+  li.appendChild(editForm);
+  return li;
+}
+
+/**
+ * Change a task with If-Match set to the version we rendered, so edits made
+ * by someone else in the meantime are not overwritten (the server answers 412).
+ */
+async function mutateTask(task, suffix, options = {}) {
+  const res = await fetch(`/api/tasks/${encodeURIComponent(task.id)}${suffix}`, {
+    ...options,
+    headers: { ...(options.headers || {}), 'If-Match': `"v${task.version}"` }
+  });
   const data = await res.json();
-  if (!data.ok) {
-    alert('Failed to load tasks.');
-    return;
+  if (res.status === 412) {
+    alert('This task was changed by someone else in the meantime. Showing the latest version.');
+  } else if (!data.ok) {
+    alert(data.error || 'Failed to update task.');
   }
+  return data;
+}
 
-  const tasks = data.tasks || [];
-  render(tasks);
+/** Toast with an optional action button; hides itself after a few seconds */
+let toastTimer = null;
+function showToast(message, actionLabel, onAction) {
+  let toast = document.getElementById('toast');
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.id = 'toast';
+    toast.className = 'toast';
+    toast.setAttribute('role', 'status');
+    document.body.appendChild(toast);
+  }
+  toast.innerHTML = '';
 
-  const now = Date.now();
-  for (const t of tasks) {
-    if (t.priority) continue; // no due-time notifications for priority tasks
-    const due = taskDueTs(t);
-    if (Number.isNaN(due)) continue;
-    if (due <= now && !notified.has(t.id)) {
-      notified.add(t.id);
-      notify(`Task due: ${t.name}`, t.description || '');
+  const text = document.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+
+  if (actionLabel && onAction) {
+    const actionBtn = document.createElement('button');
+    actionBtn.textContent = actionLabel;
+    actionBtn.onclick = async () => {
+      hideToast();
+      await onAction();
+    };
+    toast.appendChild(actionBtn);
+  }
+
+  toast.hidden = false;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(hideToast, 8000);
+}
+
+function hideToast() {
+  const toast = document.getElementById('toast');
+  if (toast) toast.hidden = true;
+  clearTimeout(toastTimer);
+}
+
+async function loadAndRender() {
+  const query = taskQuery();
+  const board = currentBoard;
+  // An ETag only describes the list for the query and board it came with
+  if (query !== tasksQuery || board !== tasksBoard) tasksEtag = null;
+  const headers = tasksEtag ? { 'If-None-Match': tasksEtag } : {};
+  const path = board ? `/api/boards/${encodeURIComponent(board)}/tasks` : '/api/tasks';
+  const res = await fetch(query ? `${path}?${query}` : path, { headers });
+  const editing = !!document.querySelector('.task.editing');
+
+  if (res.status === 401) {
+    toLogin();
+  } else if (res.status === 304) {
+    // Same data; only re-render once a scheduled task has become due
+    if (!editing && Date.now() >= nextDueAt) render(lastTasks);
+  } else if (res.status === 404 && board) {
+    // The board was deleted elsewhere
+    switchBoard('');
+  } else {
+    const data = await res.json();
+    if (!data.ok) {
+      alert(data.error || 'Failed to load tasks.');
+      return;
+    }
+    tasksQuery = query;
+    tasksBoard = board;
+    lastTasks = data.tasks || [];
+    loadTags();
+    // Don't wipe out a card that is being edited inline; forget the ETag so
+    // the next poll fetches and renders the list again
+    if (editing) {
+      tasksEtag = null;
+    } else {
+      tasksEtag = res.headers.get('ETag');
+      render(lastTasks);
     }
   }
 }
 
-function notify(title, body = '') {
+/**
+ * Show a notification. Notifications with the same tag replace each other,
+ * so a reminder shows once however many tabs receive it.
+ */
+function notify(title, body = '', tag) {
   if ('Notification' in window && Notification.permission === 'granted') {
-    new Notification(title, { body });
+    new Notification(title, { body, tag });
   } else {
     alert(`${title}\n${body}`.trim());
   }
 }
 
+/**
+ * Show field problems ({ field, message }) under the matching form inputs;
+ * an empty list clears them. Problems without a matching input go to an
+ * alert.
+ */
+function showFormErrors(errors) {
+  for (const el of form.querySelectorAll('.field-error')) el.remove();
+  for (const el of form.querySelectorAll('[aria-invalid]')) el.removeAttribute('aria-invalid');
+
+  const unplaced = [];
+  for (const { field, message } of errors) {
+    const input = field && form.elements.namedItem(field);
+    if (!input || !input.parentNode) {
+      unplaced.push(message);
+      continue;
+    }
+    input.setAttribute('aria-invalid', 'true');
+    const note = document.createElement('div');
+    note.className = 'field-error';
+    note.textContent = message;
+    input.insertAdjacentElement('afterend', note);
+  }
+  if (unplaced.length) alert(unplaced.join('\n'));
+}
+
+/** Length limits from the schema, so the browser stops typing at them */
+(function applySchemaLimits() {
+  for (const [field, rule] of Object.entries(TaskSchema.TASK_FIELDS)) {
+    const input = form.elements.namedItem(field);
+    if (input && rule.maxLength && 'maxLength' in input) input.maxLength = rule.maxLength;
+  }
+})();
+
 form.addEventListener('submit', async (e) => {
   e.preventDefault();
   const formData = new FormData(form);
   const payload = {
     name: formData.get('name'),
-    date: formData.get('date'),
-    time: formData.get('time'),
-    priority: formData.get('priority') === 'on',
-    description: formData.get('description')
+    date: formData.get('date') || '',
+    time: formData.get('time') || '',
+    priority: formData.get('priority') || TaskSchema.DEFAULT_PRIORITY,
+    description: formData.get('description'),
+    tags: parseTagInput(formData.get('tags')),
+    autoComplete: formData.get('autoComplete') === 'on',
+    assignee: formData.get('assignee') || null,
+    timezone: viewerTimezone
   };
-  const res = await fetch('/api/tasks', {
+  if (formData.get('recurrence')) {
+    payload.recurrence = { freq: formData.get('recurrence'), interval: Number(formData.get('interval')) || 1 };
+  }
+
+  const { errors } = TaskSchema.validateTask(payload);
+  showFormErrors(errors);
+  if (errors.length) return;
+
+  const path = currentBoard ? `/api/boards/${encodeURIComponent(currentBoard)}/tasks` : '/api/tasks';
+  const res = await fetch(path, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(payload)
   });
   const data = await res.json();
   if (!data.ok) {
-    alert(data.error || 'Failed to create task.');
+    // The server checks a few things the shared schema can't
+    if (data.errors) showFormErrors(data.errors);
+    else alert(data.error || 'Failed to create task.');
     return;
   }
   form.reset();
-  // Ensure inputs re-enable if the checkbox resets
-  if (priorityCheckbox) priorityCheckbox.checked = false;
-  if (dateInput) dateInput.disabled = false;
-  if (timeInput) timeInput.disabled = false;
   await loadAndRender();
 });
 
+/**
+ * Apply one change pushed over the stream: the server sends the task as it
+ * now stands, or null once it is deleted.
+ */
+function applyStreamChange({ event, task }) {
+  // Board task counts change with every event
+  loadBoards();
+  if (event.type.startsWith('board_')) return;
+  loadTags();
+  // Only the server knows whether the task matches the filters now, or
+  // whether tasks waiting on it are still blocked
+  if (tasksQuery || lastTasks.some(t => (t.blockedBy || []).includes(event.id))) {
+    loadAndRender();
+    return;
+  }
+  lastTasks = lastTasks.filter(t => t.id !== event.id);
+  if (task && (!tasksBoard || task.boardId === tasksBoard)) lastTasks.push(task);
+  // Our list no longer matches any ETag the server handed out
+  tasksEtag = null;
+  if (!document.querySelector('.task.editing')) render(lastTasks);
+}
+
+/**
+ * Subscribe to /api/stream. EventSource reconnects by itself (sending
+ * Last-Event-ID); if it gives up we open a new one after a while, resuming
+ * from the last event we saw. Polling covers the time in between.
+ */
+function connectStream() {
+  if (!('EventSource' in window)) return;
+  const url = lastEventId === null ? '/api/stream' : `/api/stream?lastEventId=${encodeURIComponent(lastEventId)}`;
+  stream = new EventSource(url);
+
+  stream.onopen = () => {
+    streamOpen = true;
+  };
+  stream.addEventListener('ready', (e) => {
+    lastEventId = e.lastEventId;
+  });
+  stream.addEventListener('task', (e) => {
+    lastEventId = e.lastEventId;
+    applyStreamChange(JSON.parse(e.data));
+  });
+  stream.addEventListener('reminder', (e) => {
+    const { task, dueAt, leadMinutes } = JSON.parse(e.data);
+    const title = leadMinutes > 0 ? `Task due in ${leadMinutes} min: ${task.name}` : `Task due: ${task.name}`;
+    notify(title, task.description || '', `${task.id}@${dueAt}@${leadMinutes}`);
+  });
+  stream.addEventListener('reset', async (e) => {
+    lastEventId = e.lastEventId;
+    tasksEtag = null;
+    await loadAndRender();
+  });
+  stream.onerror = () => {
+    streamOpen = false;
+    if (stream.readyState === EventSource.CLOSED) {
+      stream = null;
+      setTimeout(connectStream, 20000);
+    }
+  };
+}
+
+/** Re-query as the filters change; typing in the search box is debounced */
+(function initFilters() {
+  if (!filterForm) return;
+  let typingTimer = null;
+  filterForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadAndRender();
+  });
+  filterForm.addEventListener('input', (e) => {
+    if (e.target.type !== 'search') return;
+    clearTimeout(typingTimer);
+    typingTimer = setTimeout(loadAndRender, 300);
+  });
+  filterForm.addEventListener('change', (e) => {
+    if (e.target.type !== 'search') loadAndRender();
+  });
+  // Reset clears the fields after this event, so reload on the next turn
+  filterForm.addEventListener('reset', () => setTimeout(loadAndRender));
+})();
+
+/** Poll while the stream is down; otherwise just keep due times current */
+function tick() {
+  if (!streamOpen) {
+    loadAndRender();
+    return;
+  }
+  if (!document.querySelector('.task.editing') && Date.now() >= nextDueAt) render(lastTasks);
+}
+
 loadAndRender();
-setInterval(loadAndRender, 20000);
+connectStream();
+setInterval(tick, 20000);
@@ -0,0 +1,243 @@
+/*
+  Task payload schema, shared by the API (server.js requires this file) and
+  the browser (loaded before main.js as window.TaskSchema), so the create
+  form shows the same problems the server would answer 400 with.
+  validateTask(body, { partial }) -> { value, errors: [{ field, message }] }
+  validateChecklistItem(body) and validateComment(body) do the same for a
+  new checklist item and a new comment.
+  - value holds the recognised fields (names, dates and times trimmed, tags
+    normalised with normalizeTag() and de-duplicated, priority as a level)
+  - partial (PATCH) checks only the fields that are present
+  Rules that need server-side code (recurrence rules, which fields go
+  together) are checked by server.js on top of this.
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.TaskSchema = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Priority levels, lowest first. The old boolean flag maps onto them:
+  // true is the top level, false the default one.
+  const PRIORITY_LEVELS = ['low', 'normal', 'high', 'urgent'];
+  const DEFAULT_PRIORITY = 'normal';
+
+  // The level for a stored or submitted priority, or null if it isn't one
+  function priorityLevel(value) {
+    if (value === true) return PRIORITY_LEVELS[PRIORITY_LEVELS.length - 1];
+    if (value === false || value === undefined || value === null) return DEFAULT_PRIORITY;
+    const level = String(value).trim().toLowerCase();
+    return PRIORITY_LEVELS.includes(level) ? level : null;
+  }
+
+  const TASK_FIELDS = {
+    name: { type: 'string', required: true, trim: true, maxLength: 1000 },
+    date: { type: 'string', trim: true, format: 'date' },
+    time: { type: 'string', trim: true, format: 'time' },
+    timezone: { type: 'string', trim: true, format: 'timezone', maxLength: 64 },
+    description: { type: 'string', maxLength: 10000 },
+    // A level; true and false are still accepted from older clients
+    priority: { type: ['string', 'boolean'], levels: PRIORITY_LEVELS },
+    // A frequency name, an RRULE string or a rule object; the rule itself is
+    // checked on the server
+    recurrence: { type: ['string', 'object'], nullable: true },
+    tags: { type: 'array', items: 'tag', maxItems: 20 },
+    // Ids of tasks that must be done first; the server checks they exist and
+    // don't form a cycle
+    blockedBy: { type: 'array', items: 'id', maxItems: 50 },
+    // Complete the task once every checklist item is checked
+    autoComplete: { type: 'boolean' },
+    // Board the task is on; the server checks it exists
+    boardId: { type: 'string', trim: true, maxLength: 64 },
+    // Id of the user the task is assigned to; null or '' for nobody
+    assignee: { type: 'string', nullable: true, trim: true, maxLength: 64 }
+  };
+
+  const CHECKLIST_ITEM_FIELDS = {
+    text: { type: 'string', required: true, trim: true, maxLength: 500 },
+    done: { type: 'boolean' }
+  };
+  const CHECKLIST_MAX_ITEMS = 100;
+
+  const COMMENT_FIELDS = {
+    text: { type: 'string', required: true, trim: true, maxLength: 5000 },
+    // Comment this one replies to; the server checks it is on the same task
+    parentId: { type: 'string', trim: true, maxLength: 64 }
+  };
+
+  const LABELS = {
+    name: 'Name',
+    date: 'Date',
+    time: 'Time',
+    timezone: 'Time zone',
+    description: 'Description',
+    priority: 'Priority',
+    recurrence: 'Recurrence',
+    tags: 'Tags',
+    blockedBy: 'Blocked by',
+    autoComplete: 'Auto-complete',
+    boardId: 'Board',
+    assignee: 'Assignee',
+    text: 'Text',
+    parentId: 'Reply to',
+    done: 'Done'
+  };
+
+  // A real calendar date as YYYY-MM-DD (no February 31st)
+  function isDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return false;
+    const [, y, m, d] = match.map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+  }
+
+  function isTime(value) {
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+  }
+
+  function isTimezone(value) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Tags compare case-insensitively, so they are kept lower-case with single spaces
+  function normalizeTag(tag) {
+    return String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  // What list fields hold: how entries are tidied and how long they may be
+  const LIST_ITEMS = {
+    tag: { noun: 'tag', normalize: normalizeTag, maxLength: 32 },
+    id: { noun: 'task id', normalize: id => id.trim(), maxLength: 64 }
+  };
+
+  // Check and normalise a list field, dropping empty and repeated entries.
+  // Returns { list } or { error }. Entries can't contain commas, so lists
+  // can travel comma-separated in query strings.
+  function checkList(input, rule, label) {
+    const kind = LIST_ITEMS[rule.items];
+    const list = [];
+    for (const item of input) {
+      if (typeof item !== 'string') return { error: `${label} must be a list of strings.` };
+      const entry = kind.normalize(item);
+      if (!entry || list.includes(entry)) continue;
+      if (entry.length > kind.maxLength) return { error: `Each ${kind.noun} must be at most ${kind.maxLength} characters.` };
+      if (entry.includes(',')) return { error: `${label} cannot contain commas.` };
+      list.push(entry);
+    }
+    if (list.length > rule.maxItems) return { error: `${label} can have at most ${rule.maxItems} entries.` };
+    return { list };
+  }
+
+  const FORMATS = {
+    date: { check: isDate, message: 'must be a date like 2026-01-31' },
+    time: { check: isTime, message: 'must be a 24-hour time like 09:30' },
+    timezone: { check: isTimezone, message: 'must be an IANA time zone such as Europe/Berlin' }
+  };
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  function validateTask(body, { partial = false } = {}) {
+    return validateFields(TASK_FIELDS, body, partial);
+  }
+
+  function validateChecklistItem(body) {
+    return validateFields(CHECKLIST_ITEM_FIELDS, body, false);
+  }
+
+  function validateComment(body) {
+    return validateFields(COMMENT_FIELDS, body, false);
+  }
+
+  function validateFields(fields, body, partial) {
+    const errors = [];
+    const value = {};
+    if (typeOf(body) !== 'object') {
+      return { value, errors: [{ field: null, message: 'Request body must be a JSON object.' }] };
+    }
+
+    for (const field of Object.keys(body)) {
+      if (!fields[field]) errors.push({ field, message: `Unknown field "${field}".` });
+    }
+
+    for (const [field, rule] of Object.entries(fields)) {
+      const label = LABELS[field];
+      let input = body[field];
+      if (input === undefined) {
+        if (rule.required && !partial) errors.push({ field, message: `${label} is required.` });
+        continue;
+      }
+      if (input === null && rule.nullable) {
+        value[field] = null;
+        continue;
+      }
+
+      const types = [].concat(rule.type);
+      if (!types.includes(typeOf(input))) {
+        const names = types.map(type => (type === 'array' ? 'list' : type));
+        errors.push({ field, message: `${label} must be a ${names.join(' or ')}.` });
+        continue;
+      }
+
+      if (rule.levels) {
+        const level = priorityLevel(input);
+        if (!level) errors.push({ field, message: `${label} must be one of: ${rule.levels.join(', ')}.` });
+        else value[field] = level;
+        continue;
+      }
+
+      if (typeof input === 'string') {
+        if (rule.trim) input = input.trim();
+        if (input === '') {
+          if (rule.required) errors.push({ field, message: `${label} is required.` });
+          else value[field] = '';
+          continue;
+        }
+        if (rule.maxLength && input.length > rule.maxLength) {
+          errors.push({ field, message: `${label} must be at most ${rule.maxLength} characters.` });
+          continue;
+        }
+        const format = rule.format && FORMATS[rule.format];
+        if (format && !format.check(input)) {
+          errors.push({ field, message: `${label} ${format.message}.` });
+          continue;
+        }
+      }
+
+      if (Array.isArray(input)) {
+        const { list, error } = checkList(input, rule, label);
+        if (error) {
+          errors.push({ field, message: error });
+          continue;
+        }
+        input = list;
+      }
+      value[field] = input;
+    }
+    return { value, errors };
+  }
+
+  return {
+    TASK_FIELDS,
+    CHECKLIST_ITEM_FIELDS,
+    CHECKLIST_MAX_ITEMS,
+    COMMENT_FIELDS,
+    LABELS,
+    PRIORITY_LEVELS,
+    DEFAULT_PRIORITY,
+    priorityLevel,
+    isDate,
+    isTimezone,
+    validateTask,
+    validateChecklistItem,
+    validateComment,
+    normalizeTag
+  };
+});
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/*
+  Event log compaction.
+  - Drops the events of tasks that are deleted (and not restored).
+  - Keeps a timestamped .bak copy of the original log next to it.
+  - Honors EVENT_FILE / SNAPSHOT_FILE like the server does.
+  Safe to run next to a live server: it takes the event log's write lock.
+*/
+
+const { compactEventLog } = require('../server');
+
+try {
+  const result = compactEventLog();
+  console.log(`Compacted event log: ${result.eventsBefore} -> ${result.eventsAfter} events`);
+  console.log(`Dropped ${result.droppedTasks} deleted task(s)`);
+  console.log(`Backup: ${result.backupFile}`);
+} catch (e) {
+  console.error('Compaction failed:', e.message);
+  process.exit(1);
+}
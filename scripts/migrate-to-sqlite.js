@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/*
+  Import a JSONL event log into an SQLite database.
+  Usage: node scripts/migrate-to-sqlite.js [eventFile] [sqliteFile]
+  - Defaults to EVENT_FILE / SQLITE_FILE, like the server.
+  - Lines that aren't JSON are skipped and listed; run `npm run quarantine`
+    on the JSONL log first to keep them.
+  - Refuses to import into a database that already has events.
+  Then start the server with STORAGE_BACKEND=sqlite.
+*/
+
+const { getEventFile, getSqliteFile, migrateJsonlToSqlite } = require('../src/storage');
+
+const eventFile = process.argv[2] || getEventFile();
+const sqliteFile = process.argv[3] || getSqliteFile();
+
+try {
+  const { imported, skipped } = migrateJsonlToSqlite(eventFile, sqliteFile);
+  console.log(`Imported ${imported} event(s) from ${eventFile} into ${sqliteFile}`);
+  if (skipped.length > 0) console.log(`Skipped invalid line(s): ${skipped.join(', ')}`);
+} catch (e) {
+  console.error('Migration failed:', e.message);
+  process.exit(1);
+}
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/*
+  Event log repair.
+  - Verifies the log and prints what it found (bad lines, gaps, unknown ids).
+  - Moves lines that don't parse or fail their checksum into
+    <event file>.quarantine and rewrites the log without them.
+  - Keeps a timestamped .bak copy of the original log next to it.
+  Safe to run next to a live server: it takes the event log's write lock
+  and servers replay the rewritten log on their next read.
+*/
+
+const { quarantineBadLines } = require('../server');
+
+try {
+  const { quarantined, quarantineFile, backupFile, report } = quarantineBadLines();
+  console.log(`Checked ${report.events} event(s), last seq ${report.lastSeq}`);
+  for (const bad of report.badLines) console.log(`  line ${bad.line}: ${bad.reason}`);
+  for (const gap of report.gaps) console.log(`  line ${gap.line}: expected seq ${gap.expected}, found ${gap.found}`);
+  for (const ref of report.unknownIds) console.log(`  line ${ref.line}: ${ref.type} for unknown id ${ref.id}`);
+
+  if (quarantined === 0) {
+    console.log('No bad lines to quarantine.');
+  } else {
+    console.log(`Quarantined ${quarantined} line(s) into ${quarantineFile}`);
+    console.log(`Backup: ${backupFile}`);
+  }
+} catch (e) {
+  console.error('Quarantine failed:', e.message);
+  process.exit(1);
+}
@@ -1,157 +1,2223 @@
 const express = require('express');
-const fs = require('fs');
+const cluster = require('cluster');
+const crypto = require('crypto');
 const path = require('path');
+const { getStorage } = require('./src/storage');
+const { getChannels, deliverReminder } = require('./src/channels');
+const { getWebhookStore, randomId, dispatchEvent } = require('./src/webhooks');
+const { parseRecurrence, nextOccurrence } = require('./src/recurrence');
+const { defaultTimezone, zonedTimeToUtc } = require('./src/timezone');
+const {
+  PRIORITY_LEVELS,
+  CHECKLIST_MAX_ITEMS,
+  priorityLevel,
+  validateTask,
+  validateChecklistItem,
+  validateComment
+} = require('./public/task-schema');
+const { parseTaskQuery, queryTasks } = require('./src/task-query');
+const {
+  SESSION_COOKIE,
+  ROLES,
+  DEFAULT_ROLE,
+  roleOf,
+  hasRole,
+  getUserStore,
+  sessionTtlMs,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  createSession,
+  isExpired,
+  tokenFromRequest,
+  findSessionUser
+} = require('./src/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// FIX: Create a function to get EVENT_FILE that checks env every time
-function getEventFile() {
-  return process.env.EVENT_FILE || path.join(__dirname, 'eventlist.txt');
+// Worker processes to run; they share the event log through its write lock
+const WORKERS = Number(process.env.WEB_CONCURRENCY || 1);
+
+// How often the running server writes a snapshot (0 disables it)
+const SNAPSHOT_INTERVAL_MS = Number(process.env.SNAPSHOT_INTERVAL_MS || 5 * 60 * 1000);
+
+// How often the running server rolls recurring tasks over and sends due
+// reminders (0 disables it)
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS || 30 * 1000);
+
+// Largest JSON request body accepted; task descriptions alone may be 10000 characters
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '64kb';
+
+// Middleware: parse JSON bodies and serve static frontend files from /public
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+// Bodies that don't parse or are too large get a JSON answer like other API errors
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ ok: false, error: `Request body is larger than ${JSON_BODY_LIMIT}.` });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ ok: false, error: 'Request body is not valid JSON.' });
+  }
+  next(err);
+});
+app.use(express.static('public'));
+
+// API routes that answer without a session: signing in, asking who is signed
+// in, and creating the first account (POST /api/users checks that itself)
+const PUBLIC_API_ROUTES = ['POST /auth/login', 'GET /auth/session', 'POST /users'];
+
+// Who is asking: req.user is the signed-in user (from the session cookie or
+// a bearer token), or null
+app.use((req, res, next) => {
+  try {
+    req.user = findSessionUser(getUserStore(), tokenFromRequest(req));
+    next();
+  } catch (e) {
+    console.error('API session error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to check the session.' });
+  }
+});
+
+// Everything else under /api answers 401 without a session
+app.use('/api', (req, res, next) => {
+  if (req.user || PUBLIC_API_ROUTES.includes(`${req.method} ${req.path}`)) return next();
+  res.status(401).json({ ok: false, error: 'Sign in first.' });
+});
+
+// 403 for a user whose role is below `role`, naming both
+function forbidden(res, user, role) {
+  res.status(403).json({
+    ok: false,
+    error: `This needs the ${role} role or higher; your role is ${roleOf(user)}.`,
+    requiredRole: role,
+    role: roleOf(user)
+  });
+}
+
+// Route middleware: only users whose role is `role` or above (see ROLES in
+// src/auth) get through; 401 without a session, 403 otherwise
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ ok: false, error: 'Sign in first.' });
+    if (hasRole(req.user, role)) return next();
+    forbidden(res, req.user, role);
+  };
+}
+
+// Health check endpoint for monitoring
+// Reports DEGRADED (with a summary) when the event log fails verification
+app.get('/health', (req, res) => {
+  let log = null;
+  try {
+    const report = cachedVerification();
+    if (!report.valid) {
+      log = { badLines: report.badLines.length, gaps: report.gaps.length, unknownIds: report.unknownIds.length };
+    }
+  } catch (e) {
+    console.error('Health log check error:', e);
+    log = { error: e.message };
+  }
+
+  res.json({ 
+    status: log ? 'DEGRADED' : 'OK', 
+    ...(log && { log }),
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+    version: '1.2.0',
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
+
+// Metrics endpoint for performance monitoring
+app.get('/metrics', requireRole('admin'), (req, res) => {
+  try {
+    const tasks = readProjection();
+    const metrics = {
+      total_tasks: tasks.length,
+      // "Priority" tasks are those above the default level
+      priority_tasks: tasks.filter(t => priorityRank(t.priority) > priorityRank('normal')).length,
+      regular_tasks: tasks.filter(t => priorityRank(t.priority) <= priorityRank('normal')).length,
+      priority_levels: Object.fromEntries(PRIORITY_LEVELS.map(level => [
+        level,
+        tasks.filter(t => t.priority === level).length
+      ])),
+      tasks_with_dates: tasks.filter(t => t.date && t.date !== '').length,
+      tasks_with_descriptions: tasks.filter(t => t.description && t.description !== '').length,
+      open_tasks: tasks.filter(t => t.status === 'open').length,
+      completed_tasks: tasks.filter(t => t.status === 'completed').length,
+      tagged_tasks: tasks.filter(t => t.tags && t.tags.length).length,
+      tag_counts: Object.fromEntries(tagCounts(tasks).map(({ name, count }) => [name, count])),
+      boards: Object.fromEntries(listBoards(tasks).map(board => [board.id, {
+        name: board.name,
+        total_tasks: board.taskCount,
+        open_tasks: board.openCount,
+        completed_tasks: board.taskCount - board.openCount
+      }])),
+      server_timestamp: new Date().toISOString(),
+      server_uptime: process.uptime()
+    };
+    res.json(metrics);
+  } catch (e) {
+    console.error('Metrics error:', e);
+    res.status(500).json({ error: 'Failed to get metrics: ' + e.message });
+  }
+});
+
+// Position of a priority level, lowest first
+function priorityRank(level) {
+  return PRIORITY_LEVELS.indexOf(level);
+}
+
+// Tags in use across `tasks`: [{ name, count, open }], most used first, then by name
+function tagCounts(tasks) {
+  const counts = new Map();
+  for (const task of tasks) {
+    for (const name of task.tags || []) {
+      const entry = counts.get(name) || { name, count: 0, open: 0 };
+      entry.count++;
+      if (task.status === 'open') entry.open++;
+      counts.set(name, entry);
+    }
+  }
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// Random per-process prefix, so processes sharing the log (cluster workers,
+// several containers) never hand out the same id; appendEvent() rejects the
+// astronomically unlikely clash that remains.
+const INSTANCE_ID = crypto.randomBytes(4).readUInt32BE(0).toString(36).padStart(7, '0');
+const ID_COUNTER_LIMIT = 36 ** 4;
+let idCounter = 0;
+
+// Utility: generate a short unique id for tasks
+function makeId() {
+  idCounter = (idCounter + 1) % ID_COUNTER_LIMIT;
+  return `t_${Date.now().toString(36)}_${INSTANCE_ID}${idCounter.toString(36).padStart(4, '0')}`;
+}
+
+// Checksum over an event's fields (minus the checksum itself), in the order
+// they were written, so a damaged or hand-edited line can be detected.
+function eventChecksum(evt) {
+  const { checksum, ...rest } = evt;
+  return crypto.createHash('sha1').update(JSON.stringify(rest)).digest('hex').slice(0, 16);
+}
+
+// Sequence number of an event given the one before it. Events written before
+// sequence numbers existed are numbered by position.
+function nextSeq(prevSeq, evt) {
+  return typeof evt.seq === 'number' ? evt.seq : prevSeq + 1;
+}
+
+// Append an event (create/update/complete/reopen/delete/restore) to the event log
+// and apply it to the in-memory projection straight away. The stored event
+// gets the next sequence number and a checksum; it is returned.
+// Other processes may share the log, so this runs under the storage's write
+// lock: nobody else can append between catching up and writing.
+// With `ifVersion`, nothing is written (and null is returned) unless the task
+// is still at that version once we hold the lock.
+// Task events that don't name a board get the one their task is on, so
+// every event in the log says which board it belongs to.
+// `actor` is the id of the user the event is written for; events the server
+// writes on its own (recurrences, reminders) are by SYSTEM_ACTOR.
+// Webhook subscribers hear about the event once it is written.
+function appendEvent(evtObj, { ifVersion, actor = SYSTEM_ACTOR } = {}) {
+  const stored = getStorage().withWriteLock(() => {
+    // Catch up first so the new event gets the next sequence number
+    const cache = syncProjection();
+    const { tasks, trash } = cache.state;
+    if (evtObj.type === 'create' && (tasks.has(evtObj.id) || trash.has(evtObj.id))) {
+      throw new Error(`Duplicate task id: ${evtObj.id}`);
+    }
+    if (ifVersion !== undefined) {
+      const current = tasks.get(evtObj.id) || trash.get(evtObj.id);
+      if (!current || current.version !== ifVersion) return null;
+    }
+
+    const stored = { ...evtObj, actor, seq: cache.seq + 1 };
+    if (!evtObj.type.startsWith('board_') && !stored.boardId) {
+      const task = tasks.get(evtObj.id) || trash.get(evtObj.id);
+      stored.boardId = task ? task.boardId : DEFAULT_BOARD.id;
+    }
+    stored.checksum = eventChecksum(stored);
+
+    // Normally in step with the log; if not (e.g. a torn last line had to
+    // be terminated) the next sync reads the new event back in order.
+    const position = cache.storage.append(JSON.stringify(stored), cache.position);
+    if (position) {
+      applyEvent(cache.state, stored);
+      cache.seq = stored.seq;
+      cache.position = position;
+      publishEvent(cache.state, stored);
+    }
+    return stored;
+  });
+
+  if (stored) {
+    try {
+      dispatchEvent(stored);
+    } catch (e) {
+      console.error('Webhook dispatch error:', e);
+    }
+  }
+  return stored;
+}
+
+// Task fields an update event may carry
+const UPDATABLE_FIELDS = [
+  'name',
+  'date',
+  'time',
+  'timezone',
+  'description',
+  'priority',
+  'tags',
+  'blockedBy',
+  'autoComplete',
+  'boardId',
+  'assignee'
+];
+
+// Which timestamp field each event type carries
+const EVENT_TIME_FIELDS = {
+  create: 'createdAt',
+  update: 'updatedAt',
+  complete: 'completedAt',
+  reopen: 'reopenedAt',
+  delete: 'deletedAt',
+  restore: 'restoredAt',
+  notified: 'notifiedAt',
+  checklist_add: 'updatedAt',
+  checklist_toggle: 'updatedAt',
+  checklist_remove: 'updatedAt',
+  comment: 'createdAt',
+  board_create: 'createdAt',
+  board_update: 'updatedAt',
+  board_delete: 'deletedAt'
+};
+
+// When an event happened, or null for events without a timestamp
+function eventTime(evt) {
+  const value = evt[EVENT_TIME_FIELDS[evt.type]];
+  return value ? new Date(value).getTime() : null;
+}
+
+// Parse JSON event lines, skipping lines that aren't events (see
+// parseEventLine()). Lines failing their checksum are still applied: they
+// are most likely hand edits, and verification reports them.
+function parseEventLines(lines) {
+  const events = [];
+
+  for (const line of lines) {
+    const { evt, reason } = parseEventLine(line);
+    if (evt) events.push(evt);
+    else console.log(`Skipping invalid line (${reason}):`, line);
+  }
+  return events;
+}
+
+// Read all events from the log, in append order. Events written before
+// sequence numbers existed get one from their position (see nextSeq()).
+function readEvents() {
+  const lines = getStorage().readAll().map(record => record.raw);
+  let seq = 0;
+  return parseEventLines(lines).map(evt => {
+    seq = nextSeq(seq, evt);
+    return { seq, ...evt };
+  });
+}
+
+// Replay state: live tasks plus deleted ones kept around so they can be
+// restored, and the boards tasks are grouped into
+function createState() {
+  return { tasks: new Map(), trash: new Map(), boards: new Map() };
+}
+
+// Board for tasks that don't name one, including every task from before
+// boards existed. It is always there and can't be renamed or deleted.
+const DEFAULT_BOARD = { id: 'default', name: 'Default' };
+
+// Actor recorded on events no user asked for
+const SYSTEM_ACTOR = 'system';
+
+// The UTC instant (ISO string) a task is due: its date and time as wall-clock
+// time in its timezone. Tasks from before timezones were stored use the
+// default zone. Null without a date and time, or when they don't parse.
+function computeDueAt(date, time, timezone) {
+  if (!date || !time) return null;
+  try {
+    const ts = zonedTimeToUtc(date, time, timezone || defaultTimezone());
+    return Number.isNaN(ts) ? null : new Date(ts).toISOString();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Apply a single event to the replay state
+function applyEvent(state, evt) {
+  const { tasks, trash, boards } = state;
+
+  // Board events carry the board's id in `id`
+  if (evt.type === 'board_create') {
+    boards.set(evt.id, { id: evt.id, name: evt.name, createdAt: evt.createdAt || new Date().toISOString() });
+    return;
+  }
+  if (evt.type === 'board_update') {
+    const board = boards.get(evt.id);
+    if (board) boards.set(evt.id, { ...board, name: evt.name, updatedAt: evt.updatedAt });
+    return;
+  }
+  if (evt.type === 'board_delete') {
+    boards.delete(evt.id);
+    return;
+  }
+
+  if (evt.type === 'create') {
+    tasks.set(evt.id, {
+      id: evt.id,
+      name: evt.name,
+      date: evt.date || '',
+      time: evt.time || '',
+      description: evt.description || '',
+      // Events from before priority levels carry true/false
+      priority: priorityLevel(evt.priority) || 'normal',
+      tags: evt.tags || [],
+      blockedBy: evt.blockedBy || [],
+      checklist: evt.checklist || [],
+      autoComplete: !!evt.autoComplete,
+      boardId: evt.boardId || DEFAULT_BOARD.id,
+      // Occurrences of a series name the series' creator
+      createdBy: evt.createdBy || (evt.actor && evt.actor !== SYSTEM_ACTOR ? evt.actor : null),
+      assignee: evt.assignee || null,
+      timezone: evt.timezone || null,
+      dueAt: computeDueAt(evt.date, evt.time, evt.timezone),
+      status: 'open',
+      completedAt: null,
+      createdAt: evt.createdAt || new Date().toISOString(),
+      version: 1,
+      ...(evt.recurrence && {
+        recurrence: evt.recurrence,
+        seriesId: evt.seriesId || evt.id,
+        seriesStart: evt.seriesStart || evt.date,
+        occurrence: evt.occurrence || 1
+      })
+    });
+    // The occurrence this one follows now has its successor
+    const previous = evt.previousId && (tasks.get(evt.previousId) || trash.get(evt.previousId));
+    if (previous) previous.nextId = evt.id;
+    return;
+  }
+
+  if (evt.type === 'delete') {
+    const deleted = tasks.get(evt.id);
+    if (!deleted) return;
+    tasks.delete(evt.id);
+    trash.set(evt.id, {
+      ...deleted,
+      deletedAt: evt.deletedAt || new Date().toISOString(),
+      version: deleted.version + 1
+    });
+    return;
+  }
+
+  if (evt.type === 'restore') {
+    const restored = trash.get(evt.id);
+    if (!restored) return;
+    trash.delete(evt.id);
+    const { deletedAt, ...task } = restored;
+    // A task whose board went away while it was deleted comes back elsewhere
+    tasks.set(evt.id, { ...task, ...(evt.boardId && { boardId: evt.boardId }), version: task.version + 1 });
+    return;
+  }
+
+  const task = tasks.get(evt.id);
+  if (!task) return;
+
+  // Comments are read back from the log (see taskComments())
+  if (evt.type === 'comment') return;
+
+  // Reminders sent don't change the task itself, so they leave its version
+  // alone (and don't trip up someone editing it)
+  if (evt.type === 'notified') {
+    task.reminders = [
+      ...(task.reminders || []),
+      { dueAt: evt.dueAt, leadMinutes: evt.leadMinutes, notifiedAt: evt.notifiedAt }
+    ];
+    return;
+  }
+
+  // Number of events applied to the task, for optimistic concurrency
+  task.version++;
+
+  if (evt.type === 'update') {
+    for (const field of UPDATABLE_FIELDS) {
+      if (evt[field] !== undefined) task[field] = evt[field];
+    }
+    task.priority = priorityLevel(task.priority) || 'normal';
+    task.autoComplete = !!task.autoComplete;
+    task.dueAt = computeDueAt(task.date, task.time, task.timezone);
+    task.updatedAt = evt.updatedAt || task.updatedAt;
+  } else if (evt.type === 'complete') {
+    task.status = 'completed';
+    task.completedAt = evt.completedAt || new Date().toISOString();
+  } else if (evt.type === 'reopen') {
+    task.status = 'open';
+    task.completedAt = null;
+  } else if (evt.type.startsWith('checklist_')) {
+    // New arrays each time: copies handed out by findTask() share them
+    const items = task.checklist || [];
+    if (evt.type === 'checklist_add') {
+      task.checklist = [...items, { id: evt.itemId, text: evt.text, done: !!evt.done }];
+    } else if (evt.type === 'checklist_toggle') {
+      task.checklist = items.map(item => (item.id === evt.itemId ? { ...item, done: !!evt.done } : item));
+    } else {
+      task.checklist = items.filter(item => item.id !== evt.itemId);
+    }
+    task.updatedAt = evt.updatedAt || task.updatedAt;
+  }
+}
+
+// In-memory projection of the event log: the storage adapter it was read
+// from, the adapter's position up to which events have been applied, and the
+// last sequence number seen. Anything past the position is applied on the
+// next sync; if the log was rewritten behind our back we start over.
+let projectionCache = null;
+
+// Bump when the snapshot layout changes; older snapshots are ignored
+const SNAPSHOT_VERSION = 11;
+
+// Projection cache from the storage's snapshot, or an empty one
+function loadProjection(storage) {
+  const snap = storage.loadSnapshot();
+  if (snap && snap.version === SNAPSHOT_VERSION) {
+    const state = createState();
+    for (const task of snap.tasks) state.tasks.set(task.id, task);
+    for (const task of snap.trash) state.trash.set(task.id, task);
+    for (const board of snap.boards) state.boards.set(board.id, board);
+    return { storage, position: snap.position, seq: snap.seq, state };
+  }
+  return { storage, position: null, seq: 0, state: createState() };
+}
+
+// Bring the in-memory projection up to date with the event log, reading only
+// what was appended since the last sync. Returns the cache.
+function syncProjection() {
+  const storage = getStorage();
+  const fresh = !projectionCache || projectionCache.storage !== storage;
+  if (fresh) projectionCache = loadProjection(storage);
+  const cache = projectionCache;
+
+  const { reset, lines, position } = storage.readSince(cache.position);
+  if (reset) {
+    cache.state = createState();
+    cache.seq = 0;
+  }
+  // Events written by other processes reach stream clients from here; a
+  // first load or a rewritten log is not news, just a reset
+  const live = !fresh && !reset;
+  for (const evt of parseEventLines(lines)) {
+    applyEvent(cache.state, evt);
+    cache.seq = nextSeq(cache.seq, evt);
+    if (live) {
+      publishEvent(cache.state, { ...evt, seq: cache.seq });
+      if (evt.type === 'notified') relayReminder(cache.state, { ...evt, seq: cache.seq });
+    }
+  }
+  cache.position = position;
+  if (reset) publishReset(cache.seq);
+  return cache;
+}
+
+// Open GET /api/stream responses
+const streamClients = new Set();
+
+// While anyone is listening, how often to look for events written by other
+// processes, and how often to send a keep-alive comment through proxies
+const STREAM_POLL_MS = Number(process.env.STREAM_POLL_MS || 1000);
+const STREAM_HEARTBEAT_MS = 25000;
+
+// A reconnecting client that missed more events than this reloads instead
+const STREAM_REPLAY_LIMIT = 500;
+
+let streamTimers = null;
+
+// Write one SSE message; `id` becomes the client's Last-Event-ID
+function writeStreamMessage(res, type, data, id) {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// The message for one event: the event plus its task as it stands now
+// (null once the task is deleted), so clients can patch their lists
+function streamPayload(state, evt) {
+  const task = state.tasks.get(evt.id);
+  return { event: evt, task: task ? withBlockers(task, state.tasks) : null };
+}
+
+// Send an applied event to every stream client
+function publishEvent(state, evt) {
+  if (streamClients.size === 0) return;
+  const payload = streamPayload(state, evt);
+  for (const res of streamClients) writeStreamMessage(res, 'task', payload, evt.seq);
+}
+
+// Tell stream clients the log was rewritten (sequence numbers changed), so
+// they reload the whole list
+function publishReset(seq) {
+  for (const res of streamClients) writeStreamMessage(res, 'reset', { seq }, seq);
+}
+
+// Send a message that isn't a log event (no id, not replayed on reconnect)
+function broadcast(type, data) {
+  for (const res of streamClients) writeStreamMessage(res, type, data);
+}
+
+function startStreamTimers() {
+  if (streamTimers) return;
+  const poll = setInterval(() => {
+    try {
+      syncProjection();
+    } catch (e) {
+      console.error('Stream sync error:', e);
+    }
+  }, STREAM_POLL_MS);
+  const heartbeat = setInterval(() => {
+    for (const res of streamClients) res.write(': ping\n\n');
+  }, STREAM_HEARTBEAT_MS);
+  poll.unref();
+  heartbeat.unref();
+  streamTimers = [poll, heartbeat];
+}
+
+function stopStreamTimers() {
+  if (!streamTimers) return;
+  streamTimers.forEach(clearInterval);
+  streamTimers = null;
+}
+
+// When an occurrence is due: its date and time in the task's timezone, or
+// the end of its day when it has no time
+function occurrenceDueTs(date, time, timezone) {
+  if (time) return Date.parse(computeDueAt(date, time, timezone));
+  const [y, m, d] = date.split('-').map(Number);
+  const nextDay = new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+  return Date.parse(computeDueAt(nextDay, '00:00', timezone));
+}
+
+// The occurrence after `task`: the first date of its series after the
+// task's own date that is still ahead of `now`, so a series that was left
+// alone for a while skips the dates it missed. Null when the series is over.
+function followingOccurrence(task, now) {
+  return nextOccurrence(
+    { recurrence: task.recurrence, seriesStart: task.seriesStart, after: task.date },
+    date => occurrenceDueTs(date, task.time, task.timezone) > now
+  );
+}
+
+// Append the create event for the occurrence after task `id`, unless it
+// doesn't recur, already has a successor, or (with `dueOnly`) isn't due yet.
+// Runs under the write lock so concurrent callers create it only once.
+// Returns the new occurrence's id, or null.
+function spawnNextOccurrence(id, { now = Date.now(), dueOnly = false } = {}) {
+  return getStorage().withWriteLock(() => {
+    const task = syncProjection().state.tasks.get(id);
+    if (!task || !task.recurrence || task.nextId) return null;
+    if (dueOnly && occurrenceDueTs(task.date, task.time, task.timezone) > now) return null;
+
+    const next = followingOccurrence(task, now);
+    if (!next) return null;
+    const nextId = makeId();
+    appendEvent({
+      type: 'create',
+      id: nextId,
+      name: task.name,
+      date: next.date,
+      time: task.time,
+      timezone: task.timezone,
+      description: task.description,
+      priority: task.priority,
+      tags: task.tags,
+      // The same checklist, unchecked
+      ...(task.checklist.length && {
+        checklist: task.checklist.map(item => ({ id: randomId('i'), text: item.text, done: false }))
+      }),
+      autoComplete: task.autoComplete,
+      boardId: task.boardId,
+      createdBy: task.createdBy,
+      assignee: task.assignee,
+      createdAt: new Date().toISOString(),
+      recurrence: task.recurrence,
+      seriesId: task.seriesId,
+      seriesStart: task.seriesStart,
+      occurrence: next.occurrence,
+      previousId: task.id
+    });
+    return nextId;
+  });
+}
+
+// Roll over every recurring task whose due time has passed (or that was
+// completed without its successor being written). Returns the ids of the
+// occurrences created. A task that fails is logged and skipped, so it
+// can't hold up the others.
+function runRecurrences(now = Date.now()) {
+  const created = [];
+  for (const task of Array.from(syncProjection().state.tasks.values())) {
+    if (!task.recurrence || task.nextId) continue;
+    try {
+      const nextId = spawnNextOccurrence(task.id, { now, dueOnly: task.status === 'open' });
+      if (nextId) created.push(nextId);
+    } catch (e) {
+      console.error(`Recurrence for task ${task.id} failed:`, e);
+    }
+  }
+  return created;
+}
+
+// The next few occurrences of a recurring task, as { date, dueAt }, for display
+function upcomingOccurrences(task, now, limit = 3) {
+  const upcoming = [];
+  let cursor = { ...task };
+  while (upcoming.length < limit) {
+    const next = followingOccurrence(cursor, now);
+    if (!next) break;
+    upcoming.push({ date: next.date, dueAt: computeDueAt(next.date, task.time, task.timezone) });
+    cursor = { ...cursor, date: next.date };
+  }
+  return upcoming;
+}
+
+// Minutes before the due time to send reminders, e.g. "15,0"
+function reminderLeadMinutes() {
+  return (process.env.REMINDER_LEAD_MINUTES || '0')
+    .split(',')
+    .map(Number)
+    .filter(minutes => Number.isFinite(minutes) && minutes >= 0);
+}
+
+// Reminders that are this late (server down, task added in the past) are
+// dropped instead of sent
+function reminderMaxLateMs() {
+  return Number(process.env.REMINDER_MAX_LATE_MINUTES || 24 * 60) * 60 * 1000;
+}
+
+// When a scheduled task is due, in ms, or NaN
+function taskDueTs(task) {
+  return task.dueAt ? Date.parse(task.dueAt) : NaN;
+}
+
+// Whether this reminder was already recorded for the task's current due time
+function reminderSent(task, dueAt, leadMinutes) {
+  return (task.reminders || []).some(r => r.dueAt === dueAt && r.leadMinutes === leadMinutes);
+}
+
+// Reminders due at `now` that haven't been recorded yet
+function dueReminders(state, now) {
+  const leads = reminderLeadMinutes();
+  const maxLate = reminderMaxLateMs();
+  const due = [];
+
+  for (const task of state.tasks.values()) {
+    if (task.status !== 'open') continue;
+    const dueTs = taskDueTs(task);
+    if (Number.isNaN(dueTs) || now > dueTs + maxLate) continue;
+    const dueAt = new Date(dueTs).toISOString();
+    for (const leadMinutes of leads) {
+      if (now < dueTs - leadMinutes * 60 * 1000) continue;
+      if (!reminderSent(task, dueAt, leadMinutes)) due.push({ task, dueAt, leadMinutes });
+    }
+  }
+  return due;
+}
+
+// Record a `notified` event unless another process got there first. The
+// check and the append share the write lock, so each reminder is recorded
+// exactly once however many processes run the scheduler.
+function recordReminder({ task, dueAt, leadMinutes }) {
+  return getStorage().withWriteLock(() => {
+    const current = syncProjection().state.tasks.get(task.id);
+    if (!current || current.status !== 'open' || reminderSent(current, dueAt, leadMinutes)) return null;
+    return appendEvent({
+      type: 'notified',
+      id: task.id,
+      dueAt,
+      leadMinutes,
+      notifiedAt: new Date().toISOString()
+    });
+  });
+}
+
+// Record and deliver every reminder that is due. Delivery happens after the
+// event is written, so a crash in between loses a reminder rather than
+// sending it twice. Returns what was sent: [{ reminder, results }].
+async function runReminders(now = Date.now()) {
+  const sent = [];
+  const channels = getChannels({ broadcast });
+
+  for (const candidate of dueReminders(syncProjection().state, now)) {
+    const stored = recordReminder(candidate);
+    if (!stored) continue;
+    const reminder = reminderMessage(candidate.task, stored);
+    sent.push({ reminder, results: await deliverReminder(channels, reminder) });
+  }
+  return sent;
+}
+
+// What channels get for a recorded `notified` event
+function reminderMessage(task, evt) {
+  const { id, name, description, date, time } = task;
+  return {
+    task: { id, name, description, date, time },
+    dueAt: evt.dueAt,
+    leadMinutes: evt.leadMinutes,
+    notifiedAt: evt.notifiedAt,
+    seq: evt.seq
+  };
+}
+
+// Browsers connected to this process hear about reminders another process
+// recorded through the sse channel too, if it is enabled
+function relayReminder(state, evt) {
+  const task = state.tasks.get(evt.id);
+  if (!task || streamClients.size === 0) return;
+  try {
+    const channels = getChannels({ broadcast }).filter(channel => channel.name === 'sse');
+    deliverReminder(channels, reminderMessage(task, evt));
+  } catch (e) {
+    console.error('Reminder relay failed:', e);
+  }
+}
+
+// Write the current projection and the log position it covers
+function writeSnapshot() {
+  const cache = syncProjection();
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    position: cache.position,
+    seq: cache.seq,
+    createdAt: new Date().toISOString(),
+    tasks: Array.from(cache.state.tasks.values()),
+    trash: Array.from(cache.state.trash.values()),
+    boards: Array.from(cache.state.boards.values())
+  };
+  cache.storage.saveSnapshot(snapshot);
+  return { seq: snapshot.seq, position: snapshot.position, tasks: snapshot.tasks.length, createdAt: snapshot.createdAt };
+}
+
+// Parse one raw log line. Returns { evt } when it is an event (an object
+// with a string type and id), or { reason } when it isn't.
+function parseEventLine(raw) {
+  let evt;
+  try {
+    evt = JSON.parse(raw);
+  } catch (parseError) {
+    return { reason: 'invalid JSON' };
+  }
+  if (!evt || typeof evt !== 'object' || Array.isArray(evt)
+    || typeof evt.type !== 'string' || !evt.type || typeof evt.id !== 'string' || !evt.id) {
+    return { reason: 'missing type or id' };
+  }
+  return { evt };
+}
+
+// Check one raw log line. Returns { evt } for a sound event, or { reason }
+// describing why the line can't be trusted.
+function checkEventLine(raw) {
+  const { evt, reason } = parseEventLine(raw);
+  if (!evt) return { reason };
+  if (evt.checksum !== undefined && evt.checksum !== eventChecksum(evt)) return { reason: 'checksum mismatch' };
+  return { evt };
+}
+
+// Replace the event log with `rawLines`; the storage keeps a backup of the
+// original. Sound events are renumbered and re-checksummed so the new log
+// has no sequence gaps; lines that fail checkEventLine() are kept as is.
+// Callers hold the write lock from reading the log until the rewrite.
+function rewriteEventLog(rawLines) {
+  let seq = 0;
+  const lines = rawLines.map(raw => {
+    const { evt } = checkEventLine(raw);
+    if (!evt) return raw;
+    const { seq: oldSeq, checksum, ...rest } = evt;
+    const stored = { ...rest, seq: ++seq };
+    stored.checksum = eventChecksum(stored);
+    return JSON.stringify(stored);
+  });
+  const backupFile = getStorage().rewrite(lines);
+
+  // The old snapshot no longer matches; replay the new log and snapshot it
+  projectionCache = null;
+  publishReset(writeSnapshot().seq);
+  return backupFile;
+}
+
+// Rewrite the event log without the events of tasks that are deleted (and not
+// restored). Lines that can't be checked are kept for verify/quarantine.
+function compactEventLog() {
+  return getStorage().withWriteLock(() => {
+    const dropIds = new Set(syncProjection().state.trash.keys());
+    const lines = getStorage().readAll().map(record => record.raw);
+    const kept = lines.filter(line => {
+      const { evt } = checkEventLine(line);
+      return !evt || !dropIds.has(evt.id);
+    });
+
+    const backupFile = rewriteEventLog(kept);
+    return {
+      eventsBefore: lines.length,
+      eventsAfter: kept.length,
+      droppedTasks: dropIds.size,
+      backupFile
+    };
+  });
+}
+
+// Verification of the log so far, fed one line at a time by verifyLine()
+function createVerification() {
+  return { created: new Set(), events: 0, lastSeq: 0, badLines: [], gaps: [], unknownIds: [] };
+}
+
+// Check the next line of the log; `line` is where it is, when known
+function verifyLine(verification, raw, line) {
+  const { evt, reason } = checkEventLine(raw);
+  if (!evt) {
+    verification.badLines.push({ line, reason, raw });
+    return;
+  }
+
+  const { lastSeq } = verification;
+  verification.events++;
+  const seq = nextSeq(lastSeq, evt);
+  if (seq !== lastSeq + 1) verification.gaps.push({ line, expected: lastSeq + 1, found: seq });
+  verification.lastSeq = Math.max(lastSeq, seq);
+
+  if (evt.type === 'create' || evt.type === 'board_create') verification.created.add(evt.id);
+  else if (!verification.created.has(evt.id)) verification.unknownIds.push({ line, seq, type: evt.type, id: evt.id });
+}
+
+function verificationReport({ events, lastSeq, badLines, gaps, unknownIds }) {
+  return {
+    valid: badLines.length === 0 && gaps.length === 0 && unknownIds.length === 0,
+    events,
+    lastSeq,
+    badLines,
+    gaps,
+    unknownIds,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+// Verify the whole event log: lines that don't parse or fail their checksum,
+// gaps or repeats in the sequence numbers, and events about ids that were
+// never created (e.g. a delete with no create). `line` is the 1-based line
+// number in the JSONL file, or the row id with SQLite storage.
+function verifyEventLog() {
+  const verification = createVerification();
+  for (const { ref, raw } of getStorage().readAll()) verifyLine(verification, raw, ref);
+  return verificationReport(verification);
+}
+
+// Verification for /health, kept up to date by checking only what was
+// appended since the last call; the whole log is read again only the first
+// time and after it is rewritten. Lines are not numbered here.
+let verificationCache = null;
+
+function cachedVerification() {
+  const storage = getStorage();
+  if (!verificationCache || verificationCache.storage !== storage) {
+    verificationCache = { storage, position: null, verification: createVerification() };
+  }
+  const { reset, lines, position } = storage.readSince(verificationCache.position);
+  if (reset) verificationCache.verification = createVerification();
+  for (const raw of lines) verifyLine(verificationCache.verification, raw);
+  verificationCache.position = position;
+  return verificationReport(verificationCache.verification);
+}
+
+// Move lines that fail checkEventLine() out of the event log into the
+// storage's quarantine (one JSON record per line, with the reason).
+function quarantineBadLines() {
+  const storage = getStorage();
+  return storage.withWriteLock(() => {
+    const report = verifyEventLog();
+    if (report.badLines.length === 0) return { quarantined: 0, report };
+
+    const quarantinedAt = new Date().toISOString();
+    const quarantineFile = storage.quarantine(report.badLines.map(bad => ({ ...bad, quarantinedAt })));
+
+    const badLineNumbers = new Set(report.badLines.map(bad => bad.line));
+    const kept = storage.readAll()
+      .filter(record => !badLineNumbers.has(record.ref))
+      .map(record => record.raw);
+    const backupFile = rewriteEventLog(kept);
+
+    return { quarantined: report.badLines.length, quarantineFile, backupFile, report };
+  });
+}
+
+// Current state, or a fresh replay of the log when `asOf` (ms timestamp) is
+// given so that only events up to that moment are applied. Log order isn't
+// strictly time order (events are stamped before waiting for the write
+// lock), so every event is looked at.
+function replay({ asOf } = {}) {
+  if (asOf === undefined) return syncProjection().state;
+
+  const state = createState();
+  for (const evt of readEvents()) {
+    const ts = eventTime(evt);
+    if (ts !== null && ts > asOf) continue;
+    applyEvent(state, evt);
+  }
+  return state;
+}
+
+// Copy of `task` with its computed dependency state: `blockers` are the
+// tasks in blockedBy that are still open (deleted ones don't count), and
+// `blocked` says whether there are any
+function withBlockers(task, tasks) {
+  const blockers = (task.blockedBy || [])
+    .map(id => tasks.get(id))
+    .filter(blocker => blocker && blocker.status === 'open')
+    .map(blocker => ({ id: blocker.id, name: blocker.name }));
+  return { ...task, blocked: blockers.length > 0, blockers };
+}
+
+// Read projection: current task list (see replay() for `asOf`). Tasks written
+// with the old boolean priority come back with a level (see applyEvent()).
+function readProjection(options) {
+  try {
+    // Copies, so callers can't modify the in-memory projection
+    const { tasks } = replay(options);
+    return Array.from(tasks.values(), task => withBlockers(task, tasks));
+  } catch (error) {
+    console.error('Error reading projection:', error);
+    return [];
+  }
+}
+
+// Parse an ISO timestamp query parameter; undefined when absent, NaN when invalid
+function parseTimestampParam(value) {
+  if (value === undefined || value === '') return undefined;
+  return Date.parse(String(value));
+}
+
+// Copy of a live task by id, or undefined
+function findTask(id) {
+  const { tasks } = syncProjection().state;
+  const task = tasks.get(id);
+  return task && withBlockers(task, tasks);
+}
+
+// Copy of a board by id (the default board included), or undefined
+function findBoard(id) {
+  if (id === DEFAULT_BOARD.id) return { ...DEFAULT_BOARD };
+  const board = syncProjection().state.boards.get(id);
+  return board && { ...board };
+}
+
+// Problems with putting a task on board `boardId`; none when it's left out
+function boardErrors(boardId) {
+  if (!boardId || findBoard(boardId)) return [];
+  return [{ field: 'boardId', message: `Board ${boardId} does not exist.` }];
+}
+
+// Problems with assigning a task to user `userId`; none when it's left out
+function assigneeErrors(userId) {
+  if (!userId || getUserStore().list().some(user => user.id === userId)) return [];
+  return [{ field: 'assignee', message: `User ${userId} does not exist.` }];
+}
+
+// Every board, the default one first, with how many of `tasks` (and how many
+// open ones) it holds
+function listBoards(tasks) {
+  const boards = [DEFAULT_BOARD, ...syncProjection().state.boards.values()];
+  return boards.map(board => {
+    const onBoard = tasks.filter(task => task.boardId === board.id);
+    return {
+      ...board,
+      taskCount: onBoard.length,
+      openCount: onBoard.filter(task => task.status === 'open').length
+    };
+  });
+}
+
+// Problems with making task `id` wait on the tasks in `blockedBy`: new ids
+// (not in `current`) that aren't live tasks, the task itself, or a cycle.
+// Deleted tasks keep their links, so they are followed too: restoring one
+// mustn't close a loop.
+function dependencyErrors(id, blockedBy, current = []) {
+  const { tasks, trash } = syncProjection().state;
+  const errors = [];
+  for (const blocker of blockedBy) {
+    if (blocker === id) errors.push({ field: 'blockedBy', message: 'A task cannot be blocked by itself.' });
+    else if (!tasks.has(blocker) && !current.includes(blocker)) errors.push({ field: 'blockedBy', message: `Task ${blocker} does not exist.` });
+  }
+  if (errors.length) return errors;
+
+  // A cycle means `id` is reachable from one of its new blockers
+  const seen = new Set();
+  const pending = [...blockedBy];
+  while (pending.length) {
+    const next = pending.pop();
+    if (next === id) return [{ field: 'blockedBy', message: 'These dependencies would form a cycle.' }];
+    if (seen.has(next)) continue;
+    seen.add(next);
+    const task = tasks.get(next) || trash.get(next);
+    pending.push(...((task && task.blockedBy) || []));
+  }
+  return [];
+}
+
+// ETag of a single task: its version (number of events applied to it)
+function taskEtag(task) {
+  return `"v${task.version}"`;
+}
+
+// ETag of a task list: changes whenever a task is added, removed or modified
+function tasksEtag(tasks, extra = '') {
+  const hash = crypto.createHash('sha1');
+  // `blocked` changes with other tasks, without a new version of this one
+  for (const task of tasks) hash.update(`${task.id}:${task.version}:${task.blocked ? 1 : 0};`);
+  hash.update(extra);
+  return `"${hash.digest('hex').slice(0, 20)}"`;
+}
+
+// Does the request's If-Match header (if any) allow modifying `task`?
+function ifMatchSatisfied(req, task) {
+  const header = req.get('If-Match');
+  if (!header) return true;
+  if (!task) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(taskEtag(task));
+}
+
+// Version to hand to appendEvent() so the check holds up under the write lock
+function ifMatchVersion(req, task) {
+  return req.get('If-Match') ? task.version : undefined;
+}
+
+// 412 with the task's current state, so the client can merge and retry
+function preconditionFailed(res, task) {
+  if (task) res.set('ETag', taskEtag(task));
+  return res.status(412).json({
+    ok: false,
+    error: 'Task was changed by someone else. Reload and try again.',
+    task: task || null
+  });
+}
+
+// Answer 400 with every field problem; `error` joins the messages for
+// clients that show a single string
+function validationFailed(res, errors) {
+  return res.status(400).json({ ok: false, error: errors.map(e => e.message).join(' '), errors });
+}
+
+// Answer a task list request for the query parameters in `query`; shared by
+// GET /api/tasks and GET /api/boards/:boardId/tasks
+function sendTaskList(res, query) {
+  const asOf = parseTimestampParam(query.asOf);
+  if (Number.isNaN(asOf)) {
+    return res.status(400).json({ ok: false, error: 'asOf must be an ISO timestamp.' });
+  }
+  const { options, errors } = parseTaskQuery(query);
+  if (errors) return validationFailed(res, errors);
+
+  const { tasks, total, nextCursor } = queryTasks(readProjection({ asOf }), options);
+  res.set('ETag', tasksEtag(tasks, `${total}:${nextCursor || ''}`));
+  // The latest occurrence of a series lists the dates it comes back on
+  const now = Date.now();
+  for (const task of tasks) {
+    if (task.recurrence && !task.nextId) task.upcoming = upcomingOccurrences(task, now);
+  }
+  res.json({ ok: true, tasks, total, nextCursor });
+}
+
+// API: GET /api/tasks
+// Optional ?asOf=<ISO timestamp> returns the tasks as they were at that moment.
+// Search, filter, sort and paging parameters (including ?board=) are described
+// in src/task-query.js; without them every task comes back, oldest first.
+// Sends an ETag; If-None-Match with the current one gets a 304.
+app.get('/api/tasks', requireRole('viewer'), (req, res) => {
+  try {
+    sendTaskList(res, req.query);
+  } catch (e) {
+    console.error('API tasks error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read tasks.' });
+  }
+});
+
+// API: GET /api/tags
+// Tags on live tasks with how many tasks (and open tasks) carry each, most used first.
+// Optional ?board=<boardId> counts one board's tasks only.
+app.get('/api/tags', requireRole('viewer'), (req, res) => {
+  try {
+    const board = req.query.board;
+    const tasks = readProjection().filter(task => !board || task.boardId === board);
+    res.json({ ok: true, tags: tagCounts(tasks) });
+  } catch (e) {
+    console.error('API tags error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read tags.' });
+  }
+});
+
+// API: GET /api/dependencies
+// The dependency graph: live tasks that block or wait on another, and an
+// edge { from, to } for each link, meaning `from` has to be done before `to`.
+app.get('/api/dependencies', requireRole('viewer'), (req, res) => {
+  try {
+    const tasks = readProjection();
+    const live = new Set(tasks.map(task => task.id));
+    const edges = [];
+    for (const task of tasks) {
+      for (const from of task.blockedBy) {
+        if (live.has(from)) edges.push({ from, to: task.id });
+      }
+    }
+    const linked = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+    const nodes = tasks
+      .filter(task => linked.has(task.id))
+      .map(({ id, name, status, blocked }) => ({ id, name, status, blocked }));
+    res.json({ ok: true, nodes, edges });
+  } catch (e) {
+    console.error('API dependencies error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read dependencies.' });
+  }
+});
+
+// API: GET /api/tasks/trash
+// Recently deleted tasks, newest deletion first, as they were when deleted.
+app.get('/api/tasks/trash', requireRole('viewer'), (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const tasks = Array.from(replay().trash.values(), task => ({ ...task }))
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+      .slice(0, limit);
+    res.json({ ok: true, tasks });
+  } catch (e) {
+    console.error('API trash error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read deleted tasks.' });
+  }
+});
+
+// API: GET /api/tasks/:id
+// Sends the task's ETag; If-None-Match with the current one gets a 304.
+app.get('/api/tasks/:id', requireRole('viewer'), (req, res) => {
+  try {
+    const task = findTask(req.params.id);
+    if (!task) return res.status(404).json({ ok: false, error: 'Task not found.' });
+    res.set('ETag', taskEtag(task));
+    res.json({ ok: true, task });
+  } catch (e) {
+    console.error('API task error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read task.' });
+  }
+});
+
+// API: GET /api/events
+// Pages through the raw event log, optionally filtered by task id and type.
+app.get('/api/events', requireRole('viewer'), (req, res) => {
+  try {
+    const { taskId, type } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    let events = readEvents();
+    if (taskId) events = events.filter(evt => evt.id === taskId);
+    if (type) events = events.filter(evt => evt.type === type);
+
+    res.json({
+      ok: true,
+      total: events.length,
+      offset,
+      limit,
+      events: events.slice(offset, offset + limit)
+    });
+  } catch (e) {
+    console.error('API events error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read events.' });
+  }
+});
+
+// API: GET /api/stream
+// Server-Sent Events: a `task` message per event as it is written, with the
+// event's seq as message id. A reconnecting client sends Last-Event-ID (or
+// ?lastEventId= when it opens a new EventSource) and first gets what it
+// missed; `reset` means it has to reload the list. `ready` carries the seq
+// the stream continues from.
+app.get('/api/stream', requireRole('viewer'), (req, res) => {
+  try {
+    const cache = syncProjection();
+    const lastId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+
+    let missed = [];
+    let reset = false;
+    if (Number.isInteger(lastId) && lastId < cache.seq) {
+      missed = readEvents().filter(evt => evt.seq > lastId);
+      reset = missed.length > STREAM_REPLAY_LIMIT;
+    } else if (Number.isInteger(lastId) && lastId > cache.seq) {
+      // Ahead of the log: it was compacted since
+      reset = true;
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    if (reset) {
+      writeStreamMessage(res, 'reset', { seq: cache.seq }, cache.seq);
+    } else {
+      for (const evt of missed) writeStreamMessage(res, 'task', streamPayload(cache.state, evt), evt.seq);
+    }
+    writeStreamMessage(res, 'ready', { seq: cache.seq }, cache.seq);
+
+    streamClients.add(res);
+    startStreamTimers();
+    req.on('close', () => {
+      streamClients.delete(res);
+      if (streamClients.size === 0) stopStreamTimers();
+    });
+  } catch (e) {
+    console.error('API stream error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to open event stream.' });
+  }
+});
+
+// API: GET /api/tasks/:id/history
+// Every event that touched a task, including ones after it was deleted.
+app.get('/api/tasks/:id/history', requireRole('viewer'), (req, res) => {
+  try {
+    const id = req.params.id;
+    const events = readEvents().filter(evt => evt.id === id);
+    if (events.length === 0) return res.status(404).json({ ok: false, error: 'Task not found.' });
+    res.json({ ok: true, id, events });
+  } catch (e) {
+    console.error('API task history error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read task history.' });
+  }
+});
+
+// Create a task from a request body for user `actor`; shared by
+// POST /api/tasks and POST /api/boards/:boardId/tasks
+function createTask(res, body, actor) {
+  const { value, errors } = validateTask(body);
+  const { name, date, time, description, priority } = value;
+
+  const { recurrence, error } = parseRecurrence(value.recurrence);
+  if (error) {
+    errors.push({ field: 'recurrence', message: error });
+  } else if (recurrence && !date) {
+    errors.push({ field: 'recurrence', message: 'Recurring tasks need a date.' });
+  }
+  if (errors.length) return validationFailed(res, errors);
+
+  const id = makeId();
+  const evt = {
+    type: 'create',
+    id,
+    name,
+    date: date || '',
+    time: time || '',
+    // The creator's zone (the frontend sends the browser's), else the server default
+    timezone: value.timezone || defaultTimezone(),
+    description: description || '',
+    priority: priority || 'normal',
+    createdAt: new Date().toISOString(),
+    boardId: value.boardId || DEFAULT_BOARD.id,
+    ...(value.tags && value.tags.length && { tags: value.tags }),
+    ...(value.blockedBy && value.blockedBy.length && { blockedBy: value.blockedBy }),
+    ...(value.autoComplete && { autoComplete: true }),
+    ...(value.assignee && { assignee: value.assignee }),
+    ...(recurrence && { recurrence })
+  };
+
+  // The board and blockers are checked under the write lock, so none can go
+  // away in between
+  const problems = getStorage().withWriteLock(() => {
+    const found = [
+      ...boardErrors(value.boardId),
+      ...assigneeErrors(value.assignee),
+      ...dependencyErrors(id, value.blockedBy || [])
+    ];
+    if (!found.length) appendEvent(evt, { actor });
+    return found;
+  });
+  if (problems.length) return validationFailed(res, problems);
+  res.status(201).json({ ok: true, id });
+}
+
+// API: POST /api/tasks
+// The task goes on the board named by `boardId`, else the default board.
+app.post('/api/tasks', requireRole('member'), (req, res) => {
+  try {
+    createTask(res, req.body, req.user.id);
+  } catch (e) {
+    console.error('API create task error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to create task.' });
+  }
+});
+
+// API: PATCH /api/tasks/:id
+// Appends an update event holding only the fields that actually changed.
+// Mutating routes honor If-Match with the task's ETag and answer 412 on conflict.
+app.patch('/api/tasks/:id', requireRole('member'), (req, res) => {
+  try {
+    const id = req.params.id;
+    const task = findTask(id);
+    if (!task) return res.status(404).json({ ok: false, error: 'Task not found.' });
+    if (!ifMatchSatisfied(req, task)) return preconditionFailed(res, task);
+
+    const { value, errors } = validateTask(req.body, { partial: true });
+    if (value.recurrence !== undefined) {
+      errors.push({ field: 'recurrence', message: 'Recurrence cannot be changed on an existing task.' });
+    }
+    if (task.recurrence && value.date === '') {
+      errors.push({ field: 'date', message: 'Recurring tasks need a date.' });
+    }
+    if (errors.length) return validationFailed(res, errors);
+
+    const next = { ...task };
+    const fields = ['name', 'description', 'priority', 'date', 'time', 'tags', 'blockedBy', 'autoComplete', 'boardId'];
+    for (const field of fields) {
+      if (value[field] !== undefined) next[field] = value[field];
+    }
+    if (value.timezone) next.timezone = value.timezone;
+    if (value.assignee !== undefined) next.assignee = value.assignee || null;
+
+    const evt = { type: 'update', id };
+    for (const field of UPDATABLE_FIELDS) {
+      // Compared as JSON so lists with the same entries in order count as unchanged
+      if (JSON.stringify(next[field]) !== JSON.stringify(task[field])) evt[field] = next[field];
+    }
+    if (Object.keys(evt).length === 2) return res.set('ETag', taskEtag(task)).json({ ok: true, task });
+
+    evt.updatedAt = new Date().toISOString();
+    // A new board and new dependencies are checked against the log under its
+    // write lock, so two concurrent changes can't close a cycle between them
+    const problems = [];
+    const stored = getStorage().withWriteLock(() => {
+      if (evt.boardId) problems.push(...boardErrors(evt.boardId));
+      if (evt.assignee) problems.push(...assigneeErrors(evt.assignee));
+      if (evt.blockedBy) problems.push(...dependencyErrors(id, evt.blockedBy, task.blockedBy));
+      return problems.length ? null : appendEvent(evt, { ifVersion: ifMatchVersion(req, task), actor: req.user.id });
+    });
+    if (problems.length) return validationFailed(res, problems);
+    if (!stored) return preconditionFailed(res, findTask(id));
+    const updated = findTask(id);
+    res.set('ETag', taskEtag(updated)).json({ ok: true, task: updated });
+  } catch (e) {
+    console.error('API update task error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to update task.' });
+  }
+});
+
+// API: POST /api/tasks/:id/complete
+app.post('/api/tasks/:id/complete', requireRole('member'), (req, res) => {
+  try {
+    const id = req.params.id;
+    const task = findTask(id);
+    if (!task) return res.status(404).json({ ok: false, error: 'Task not found.' });
+    if (!ifMatchSatisfied(req, task)) return preconditionFailed(res, task);
+    if (task.status === 'completed') return res.set('ETag', taskEtag(task)).json({ ok: true, task });
+
+    const evt = { type: 'complete', id, completedAt: new Date().toISOString() };
+    if (!appendEvent(evt, { ifVersion: ifMatchVersion(req, task), actor: req.user.id })) return preconditionFailed(res, findTask(id));
+    spawnNextOccurrence(id);
+    const completed = findTask(id);
+    res.set('ETag', taskEtag(completed)).json({ ok: true, task: completed });
+  } catch (e) {
+    console.error('API complete task error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to complete task.' });
+  }
+});
+
+// API: POST /api/tasks/:id/reopen
+app.post('/api/tasks/:id/reopen', requireRole('member'), (req, res) => {
+  try {
+    const id = req.params.id;
+    const task = findTask(id);
+    if (!task) return res.status(404).json({ ok: false, error: 'Task not found.' });
+    if (!ifMatchSatisfied(req, task)) return preconditionFailed(res, task);
+    if (task.status === 'open') return res.set('ETag', taskEtag(task)).json({ ok: true, task });
+
+    const evt = { type: 'reopen', id, reopenedAt: new Date().toISOString() };
+    if (!appendEvent(evt, { ifVersion: ifMatchVersion(req, task), actor: req.user.id })) return preconditionFailed(res, findTask(id));
+    const reopened = findTask(id);
+    res.set('ETag', taskEtag(reopened)).json({ ok: true, task: reopened });
+  } catch (e) {
+    console.error('API reopen task error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to reopen task.' });
+  }
+});
+
+// API: DELETE /api/tasks/:id
+app.delete('/api/tasks/:id', requireRole('owner'), (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!id) return res.status(400).json({ ok: false, error: 'Task ID required.' });
+    const task = findTask(id);
+    if (!ifMatchSatisfied(req, task)) return preconditionFailed(res, task);
+    // Deleting something that isn't there is fine, but leaves no event behind
+    if (!task) return res.json({ ok: true });
+
+    const evt = { type: 'delete', id, deletedAt: new Date().toISOString() };
+    if (!appendEvent(evt, { ifVersion: ifMatchVersion(req, task), actor: req.user.id })) return preconditionFailed(res, findTask(id));
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('API delete task error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to delete task.' });
+  }
+});
+
+// API: POST /api/tasks/:id/restore
+app.post('/api/tasks/:id/restore', requireRole('owner'), (req, res) => {
+  try {
+    const id = req.params.id;
+    const state = replay();
+    if (state.tasks.has(id)) return res.status(409).json({ ok: false, error: 'Task is not deleted.' });
+    const deleted = state.trash.get(id);
+    if (!deleted) return res.status(404).json({ ok: false, error: 'Task not found.' });
+    if (!ifMatchSatisfied(req, deleted)) return preconditionFailed(res, { ...deleted });
+
+    const evt = {
+      type: 'restore',
+      id,
+      restoredAt: new Date().toISOString(),
+      ...(!findBoard(deleted.boardId) && { boardId: DEFAULT_BOARD.id })
+    };
+    if (!appendEvent(evt, { ifVersion: ifMatchVersion(req, deleted), actor: req.user.id })) {
+      const current = findTask(id) || replay().trash.get(id);
+      return preconditionFailed(res, current && { ...current });
+    }
+    const task = findTask(id);
+    res.set('ETag', taskEtag(task)).json({ ok: true, task });
+  } catch (e) {
+    console.error('API restore task error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to restore task.' });
+  }
+});
+
+// Complete a task with auto-complete on once every checklist item is checked.
+// `task` is the task as the caller's event left it; if anything was written
+// since, the version check makes this a no-op. Returns the task as it is now.
+function autoCompleteTask(task, actor) {
+  const items = task.checklist || [];
+  if (!task.autoComplete || task.status !== 'open' || !items.length || !items.every(item => item.done)) return task;
+  const evt = { type: 'complete', id: task.id, completedAt: new Date().toISOString(), auto: true };
+  if (appendEvent(evt, { ifVersion: task.version, actor })) spawnNextOccurrence(task.id);
+  return findTask(task.id);
 }
 
-// Middleware: parse JSON bodies and serve static frontend files from /public
-app.use(express.json());
-app.use(express.static('public'));
+// API: POST /api/tasks/:id/checklist
+// Adds an item ({ text, done? }) to the end of the task's checklist.
+app.post('/api/tasks/:id/checklist', requireRole('member'), (req, res) => {
+  try {
+    const id = req.params.id;
+    const task = findTask(id);
+    if (!task) return res.status(404).json({ ok: false, error: 'Task not found.' });
+    if (!ifMatchSatisfied(req, task)) return preconditionFailed(res, task);
 
-// Health check endpoint for monitoring
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    uptime: process.uptime(),
-    timestamp: new Date().toISOString(),
-    version: '1.2.0',
-    environment: process.env.NODE_ENV || 'development'
-  });
+    const { value, errors } = validateChecklistItem(req.body);
+    if (task.checklist.length >= CHECKLIST_MAX_ITEMS) {
+      errors.push({ field: null, message: `A checklist can have at most ${CHECKLIST_MAX_ITEMS} items.` });
+    }
+    if (errors.length) return validationFailed(res, errors);
+
+    const itemId = randomId('i');
+    const evt = {
+      type: 'checklist_add',
+      id,
+      itemId,
+      text: value.text,
+      ...(value.done && { done: true }),
+      updatedAt: new Date().toISOString()
+    };
+    if (!appendEvent(evt, { ifVersion: ifMatchVersion(req, task), actor: req.user.id })) return preconditionFailed(res, findTask(id));
+    const updated = autoCompleteTask(findTask(id), req.user.id);
+    const item = updated.checklist.find(entry => entry.id === itemId);
+    res.status(201).set('ETag', taskEtag(updated)).json({ ok: true, item, task: updated });
+  } catch (e) {
+    console.error('API add checklist item error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to add checklist item.' });
+  }
 });
 
-// Metrics endpoint for performance monitoring
-app.get('/metrics', (req, res) => {
+// API: POST /api/tasks/:id/checklist/:itemId/toggle
+// Checks or unchecks an item: { done } sets it, an empty body flips it.
+app.post('/api/tasks/:id/checklist/:itemId/toggle', requireRole('member'), (req, res) => {
   try {
-    const tasks = readProjection();
-    const metrics = {
-      total_tasks: tasks.length,
-      priority_tasks: tasks.filter(t => t.priority).length,
-      regular_tasks: tasks.filter(t => !t.priority).length,
-      tasks_with_dates: tasks.filter(t => t.date && t.date !== '').length,
-      tasks_with_descriptions: tasks.filter(t => t.description && t.description !== '').length,
-      server_timestamp: new Date().toISOString(),
-      server_uptime: process.uptime()
+    const { id, itemId } = req.params;
+    const task = findTask(id);
+    const item = task && task.checklist.find(entry => entry.id === itemId);
+    if (!item) return res.status(404).json({ ok: false, error: 'Checklist item not found.' });
+    if (!ifMatchSatisfied(req, task)) return preconditionFailed(res, task);
+
+    const done = req.body && req.body.done !== undefined ? req.body.done : !item.done;
+    if (typeof done !== 'boolean') {
+      return validationFailed(res, [{ field: 'done', message: 'Done must be a boolean.' }]);
+    }
+    if (done === item.done) return res.set('ETag', taskEtag(task)).json({ ok: true, item, task });
+
+    const evt = { type: 'checklist_toggle', id, itemId, done, updatedAt: new Date().toISOString() };
+    if (!appendEvent(evt, { ifVersion: ifMatchVersion(req, task), actor: req.user.id })) return preconditionFailed(res, findTask(id));
+    const updated = autoCompleteTask(findTask(id), req.user.id);
+    res.set('ETag', taskEtag(updated)).json({
+      ok: true,
+      item: updated.checklist.find(entry => entry.id === itemId),
+      task: updated
+    });
+  } catch (e) {
+    console.error('API toggle checklist item error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to update checklist item.' });
+  }
+});
+
+// API: DELETE /api/tasks/:id/checklist/:itemId
+app.delete('/api/tasks/:id/checklist/:itemId', requireRole('member'), (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    const task = findTask(id);
+    if (!task || !task.checklist.some(entry => entry.id === itemId)) {
+      return res.status(404).json({ ok: false, error: 'Checklist item not found.' });
+    }
+    if (!ifMatchSatisfied(req, task)) return preconditionFailed(res, task);
+
+    const evt = { type: 'checklist_remove', id, itemId, updatedAt: new Date().toISOString() };
+    if (!appendEvent(evt, { ifVersion: ifMatchVersion(req, task), actor: req.user.id })) return preconditionFailed(res, findTask(id));
+    // Removing the last unchecked item leaves everything checked
+    const updated = autoCompleteTask(findTask(id), req.user.id);
+    res.set('ETag', taskEtag(updated)).json({ ok: true, task: updated });
+  } catch (e) {
+    console.error('API remove checklist item error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to remove checklist item.' });
+  }
+});
+
+// A task's comments as threads, oldest first: each comment has its replies
+// (also oldest first) in `replies`. `events` are the task's events.
+function taskComments(events) {
+  const byId = new Map();
+  const threads = [];
+  for (const evt of events) {
+    if (evt.type !== 'comment') continue;
+    const comment = {
+      id: evt.commentId,
+      parentId: evt.parentId || null,
+      text: evt.text,
+      author: evt.actor,
+      createdAt: evt.createdAt,
+      replies: []
     };
-    res.json(metrics);
+    byId.set(comment.id, comment);
+    const parent = comment.parentId && byId.get(comment.parentId);
+    if (parent) parent.replies.push(comment);
+    else threads.push(comment);
+  }
+  return threads;
+}
+
+// What each kind of task event shows up as in the activity feed; events not
+// listed (reminders, checklist ticks) are left out
+const ACTIVITY_TYPES = {
+  create: 'created',
+  update: 'edited',
+  complete: 'completed',
+  reopen: 'reopened',
+  delete: 'deleted',
+  restore: 'restored'
+};
+
+// API: GET /api/tasks/:id/comments
+// The task's comment threads (see taskComments()), deleted tasks included.
+app.get('/api/tasks/:id/comments', requireRole('viewer'), (req, res) => {
+  try {
+    const id = req.params.id;
+    const events = readEvents().filter(evt => evt.id === id);
+    if (events.length === 0) return res.status(404).json({ ok: false, error: 'Task not found.' });
+    res.json({ ok: true, id, comments: taskComments(events) });
   } catch (e) {
-    console.error('Metrics error:', e);
-    res.status(500).json({ error: 'Failed to get metrics: ' + e.message });
+    console.error('API comments error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read comments.' });
   }
 });
 
-// Utility: generate a short unique id for tasks
-function makeId() {
-  const rand = Math.floor(Math.random() * 1e9).toString(36);
-  return `t_${Date.now().toString(36)}_${rand}`;
+// API: POST /api/tasks/:id/comments
+// Body: { text, parentId? }; parentId makes it a reply to a comment on the
+// same task. Comments don't change the task's version.
+app.post('/api/tasks/:id/comments', requireRole('member'), (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!findTask(id)) return res.status(404).json({ ok: false, error: 'Task not found.' });
+    const { value, errors } = validateComment(req.body);
+    if (errors.length) return validationFailed(res, errors);
+
+    const evt = {
+      type: 'comment',
+      id,
+      commentId: randomId('c'),
+      ...(value.parentId && { parentId: value.parentId }),
+      text: value.text,
+      createdAt: new Date().toISOString()
+    };
+    // The task and the parent are looked up under the write lock, as the log stands
+    const outcome = getStorage().withWriteLock(() => {
+      if (!findTask(id)) return {};
+      if (evt.parentId) {
+        const known = readEvents().some(e => e.type === 'comment' && e.id === id && e.commentId === evt.parentId);
+        if (!known) return { errors: [{ field: 'parentId', message: `Comment ${evt.parentId} is not on this task.` }] };
+      }
+      return { stored: appendEvent(evt, { actor: req.user.id }) };
+    });
+    if (outcome.errors) return validationFailed(res, outcome.errors);
+    if (!outcome.stored) return res.status(404).json({ ok: false, error: 'Task not found.' });
+    const [comment] = taskComments([outcome.stored]);
+    res.status(201).json({ ok: true, comment });
+  } catch (e) {
+    console.error('API create comment error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to add comment.' });
+  }
+});
+
+// API: GET /api/tasks/:id/activity
+// What happened to a task, oldest first: lifecycle events (see
+// ACTIVITY_TYPES; edits list the fields they changed) merged with comment
+// threads, each placed where its first comment was written.
+app.get('/api/tasks/:id/activity', requireRole('viewer'), (req, res) => {
+  try {
+    const id = req.params.id;
+    const events = readEvents().filter(evt => evt.id === id);
+    if (events.length === 0) return res.status(404).json({ ok: false, error: 'Task not found.' });
+
+    const threads = new Map(taskComments(events).map(thread => [thread.id, thread]));
+    const activity = [];
+    // Every event names the task's board, so only a different one is a move
+    let boardId = null;
+    for (const evt of events) {
+      const time = eventTime(evt);
+      const base = { seq: evt.seq, actor: evt.actor || null, at: time === null ? null : new Date(time).toISOString() };
+      if (evt.type === 'comment') {
+        if (threads.has(evt.commentId)) activity.push({ ...base, type: 'comment', comment: threads.get(evt.commentId) });
+      } else if (ACTIVITY_TYPES[evt.type]) {
+        const entry = { ...base, type: ACTIVITY_TYPES[evt.type] };
+        if (evt.type === 'update') {
+          entry.fields = UPDATABLE_FIELDS.filter(field => evt[field] !== undefined && (field !== 'boardId' || evt.boardId !== boardId));
+        }
+        if (evt.auto) entry.auto = true;
+        activity.push(entry);
+      }
+      if (evt.boardId) boardId = evt.boardId;
+    }
+    res.json({ ok: true, id, activity });
+  } catch (e) {
+    console.error('API activity error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read activity.' });
+  }
+});
+
+// A user as the API shows it: never the password hash, always the role
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return { ...rest, role: roleOf(user) };
 }
 
-// Ensure event storage file exists (simple file-backed append-only log)
-function ensureEventFile() {
-  const eventFile = getEventFile();
-  if (!fs.existsSync(eventFile)) {
-    fs.writeFileSync(eventFile, '', { encoding: 'utf-8' });
+// Check the name and role in a request body. Returns { fields } or { error }.
+function parseProfileFields(body) {
+  const { name, role } = body || {};
+  const fields = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return { error: 'name must be a string of 1-100 characters.' };
+    }
+    fields.name = name.trim();
+  }
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) return { error: `role must be one of: ${ROLES.join(', ')}.` };
+    fields.role = role;
   }
+  return { fields };
 }
 
-// Append an event (create/delete) to the event log
-function appendEvent(evtObj) {
-  ensureEventFile();
-  const eventFile = getEventFile();
-  const line = JSON.stringify(evtObj) + '\n';
-  fs.appendFileSync(eventFile, line, { encoding: 'utf-8' });
+// Change a list kept in one of the JSON stores next to the event log
+// (users, sessions, webhooks) under the log's write lock, so processes
+// sharing the log don't overwrite each other's changes. `get` and `save`
+// name the store's methods for the list; `fn` changes it in place and its
+// result is returned.
+function updateJsonStore(store, get, save, fn) {
+  return getStorage().withWriteLock(() => {
+    const list = store[get]();
+    const result = fn(list);
+    store[save](list);
+    return result;
+  });
+}
+
+// Check the fields of a new account from a request body. Usernames are
+// kept lower-case. Returns { fields } or { error }.
+function parseUserFields(body) {
+  const { username, password } = body || {};
+  const login = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  if (!/^[a-z0-9._-]{3,32}$/.test(login)) {
+    return { error: 'username must be 3-32 characters: letters, digits, dots, dashes or underscores.' };
+  }
+  if (typeof password !== 'string' || password.length < 8 || password.length > 200) {
+    return { error: 'password must be a string of 8-200 characters.' };
+  }
+  const { fields, error } = parseProfileFields(body);
+  if (error) return { error };
+  return { fields: { username: login, password, name: login, role: DEFAULT_ROLE, ...fields } };
 }
 
-// Read projection: rebuild current task list by replaying events
-function readProjection() {
-  ensureEventFile();
-  const eventFile = getEventFile();
-  
+// Hash compared against when nobody has the username, so a failed sign-in
+// takes as long either way
+let unknownUserHash = null;
+
+// API: GET /api/auth/session
+// The signed-in user, or 401. setupRequired says no account exists yet (the
+// login screen then offers to create the first one).
+app.get('/api/auth/session', (req, res) => {
   try {
-    const data = fs.readFileSync(eventFile, 'utf-8');
-    const lines = data.split('\n').filter(Boolean);
-    const tasks = new Map();
+    if (req.user) return res.json({ ok: true, user: publicUser(req.user) });
+    const setupRequired = getUserStore().list().length === 0;
+    res.status(401).json({ ok: false, error: 'Not signed in.', setupRequired });
+  } catch (e) {
+    console.error('API session error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read the session.' });
+  }
+});
 
-    for (const line of lines) {
-      try {
-        const evt = JSON.parse(line);
-        if (evt.type === 'create') {
-          tasks.set(evt.id, {
-            id: evt.id,
-            name: evt.name,
-            date: evt.date || '',
-            time: evt.time || '',
-            description: evt.description || '',
-            priority: !!evt.priority,
-            createdAt: evt.createdAt || new Date().toISOString()
-          });
-        } else if (evt.type === 'delete') {
-          tasks.delete(evt.id);
-        }
-      } catch (parseError) {
-        console.log('Skipping invalid line:', line);
-      }
+// API: POST /api/auth/login
+// Body: { username, password }. Sets the session cookie and also returns the
+// token for clients that send it as a bearer token.
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ ok: false, error: 'username and password are required.' });
     }
-    return Array.from(tasks.values());
-  } catch (error) {
-    console.error('Error reading projection:', error);
-    return [];
+    const user = getUserStore().list().find(u => u.username === username.trim().toLowerCase());
+    if (!user) unknownUserHash = unknownUserHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+    if (!verifyPassword(password, user ? user.passwordHash : unknownUserHash) || !user) {
+      return res.status(401).json({ ok: false, error: 'Wrong username or password.' });
+    }
+
+    const { token, session } = createSession(user.id);
+    updateJsonStore(getUserStore(), 'sessions', 'saveSessions', sessions => {
+      // Drop expired sessions while we're here
+      const live = sessions.filter(s => !isExpired(s));
+      sessions.splice(0, sessions.length, ...live, session);
+    });
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: sessionTtlMs()
+    });
+    res.json({ ok: true, user: publicUser(user), token, expiresAt: session.expiresAt });
+  } catch (e) {
+    console.error('API login error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to sign in.' });
+  }
+});
+
+// API: POST /api/auth/logout
+// Ends the session the request was made with.
+app.post('/api/auth/logout', (req, res) => {
+  try {
+    const tokenHash = hashToken(tokenFromRequest(req));
+    updateJsonStore(getUserStore(), 'sessions', 'saveSessions', sessions => {
+      const index = sessions.findIndex(s => s.tokenHash === tokenHash);
+      if (index !== -1) sessions.splice(index, 1);
+    });
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict', secure: req.secure });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('API logout error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to sign out.' });
+  }
+});
+
+// API: GET /api/users
+// Everyone who can be assigned tasks.
+app.get('/api/users', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({ ok: true, users: getUserStore().list().map(publicUser) });
+  } catch (e) {
+    console.error('API users error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read users.' });
+  }
+});
+
+// API: POST /api/users
+// Body: { username, password, name?, role? } (role defaults to member).
+// Anyone may create the first account, which is always an admin; after
+// that only admins can add more.
+app.post('/api/users', (req, res) => {
+  try {
+    if (req.user && !hasRole(req.user, 'admin')) return forbidden(res, req.user, 'admin');
+    const { fields, error } = parseUserFields(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const user = {
+      id: randomId('u'),
+      username: fields.username,
+      name: fields.name,
+      role: fields.role,
+      passwordHash: hashPassword(fields.password),
+      createdAt: new Date().toISOString()
+    };
+    const outcome = updateJsonStore(getUserStore(), 'list', 'save', users => {
+      if (!req.user && users.length) return { status: 401, error: 'Sign in first.' };
+      if (!users.length) user.role = 'admin';
+      if (users.some(u => u.username === user.username)) {
+        return { status: 409, error: `The username "${user.username}" is taken.` };
+      }
+      users.push(user);
+      return null;
+    });
+    if (outcome) return res.status(outcome.status).json({ ok: false, error: outcome.error });
+    res.status(201).json({ ok: true, user: publicUser(user) });
+  } catch (e) {
+    console.error('API create user error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to create user.' });
+  }
+});
+
+// API: PATCH /api/users/:userId
+// Change a user's name and/or role. There is always at least one admin left.
+app.patch('/api/users/:userId', requireRole('admin'), (req, res) => {
+  try {
+    const { fields, error } = parseProfileFields(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const outcome = updateJsonStore(getUserStore(), 'list', 'save', users => {
+      const user = users.find(u => u.id === req.params.userId);
+      if (!user) return { status: 404, error: 'User not found.' };
+      const admins = users.filter(u => roleOf(u) === 'admin');
+      if (fields.role && fields.role !== 'admin' && admins.length === 1 && admins[0] === user) {
+        return { status: 409, error: 'The last admin cannot lose the admin role.' };
+      }
+      Object.assign(user, fields, { updatedAt: new Date().toISOString() });
+      return { user };
+    });
+    if (!outcome.user) return res.status(outcome.status).json({ ok: false, error: outcome.error });
+    res.json({ ok: true, user: publicUser(outcome.user) });
+  } catch (e) {
+    console.error('API update user error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to update user.' });
   }
+});
+
+// Check a board name from a request body. Returns { name } or { error }.
+function parseBoardName(body) {
+  const name = body && typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) return { error: 'Board name is required.' };
+  if (name.length > 100) return { error: 'Board name must be at most 100 characters.' };
+  return { name };
 }
 
-// API: GET /api/tasks
-app.get('/api/tasks', (req, res) => {
+// Whether another board (the default one included) already has this name
+function boardNameTaken(name, exceptId) {
+  const boards = [DEFAULT_BOARD, ...syncProjection().state.boards.values()];
+  return boards.some(board => board.id !== exceptId && board.name.toLowerCase() === name.toLowerCase());
+}
+
+// A board as the API shows it: with its task counts
+function boardWithCounts(board) {
+  return listBoards(readProjection()).find(entry => entry.id === board.id);
+}
+
+// API: GET /api/boards
+// Every board, the default one first, with task and open task counts.
+app.get('/api/boards', requireRole('viewer'), (req, res) => {
   try {
-    const tasks = readProjection();
-    res.json({ ok: true, tasks });
+    res.json({ ok: true, boards: listBoards(readProjection()) });
   } catch (e) {
-    console.error('API tasks error:', e);
+    console.error('API boards error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read boards.' });
+  }
+});
+
+// API: POST /api/boards
+// Board names are unique, ignoring case.
+app.post('/api/boards', requireRole('member'), (req, res) => {
+  try {
+    const { name, error } = parseBoardName(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const id = getStorage().withWriteLock(() => {
+      if (boardNameTaken(name)) return null;
+      const evt = { type: 'board_create', id: randomId('b'), name, createdAt: new Date().toISOString() };
+      appendEvent(evt, { actor: req.user.id });
+      return evt.id;
+    });
+    if (!id) return res.status(409).json({ ok: false, error: `A board named "${name}" already exists.` });
+    res.status(201).json({ ok: true, board: boardWithCounts(findBoard(id)) });
+  } catch (e) {
+    console.error('API create board error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to create board.' });
+  }
+});
+
+// API: GET /api/boards/:boardId
+app.get('/api/boards/:boardId', requireRole('viewer'), (req, res) => {
+  try {
+    const board = findBoard(req.params.boardId);
+    if (!board) return res.status(404).json({ ok: false, error: 'Board not found.' });
+    res.json({ ok: true, board: boardWithCounts(board) });
+  } catch (e) {
+    console.error('API board error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read board.' });
+  }
+});
+
+// API: PATCH /api/boards/:boardId
+// Renames a board; the default board keeps its name.
+app.patch('/api/boards/:boardId', requireRole('member'), (req, res) => {
+  try {
+    const { boardId } = req.params;
+    if (boardId === DEFAULT_BOARD.id) return res.status(400).json({ ok: false, error: 'The default board cannot be renamed.' });
+    if (!findBoard(boardId)) return res.status(404).json({ ok: false, error: 'Board not found.' });
+    const { name, error } = parseBoardName(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const outcome = getStorage().withWriteLock(() => {
+      if (!findBoard(boardId)) return 'gone';
+      if (boardNameTaken(name, boardId)) return 'taken';
+      appendEvent({ type: 'board_update', id: boardId, name, updatedAt: new Date().toISOString() }, { actor: req.user.id });
+      return 'ok';
+    });
+    if (outcome === 'gone') return res.status(404).json({ ok: false, error: 'Board not found.' });
+    if (outcome === 'taken') return res.status(409).json({ ok: false, error: `A board named "${name}" already exists.` });
+    res.json({ ok: true, board: boardWithCounts(findBoard(boardId)) });
+  } catch (e) {
+    console.error('API update board error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to update board.' });
+  }
+});
+
+// API: DELETE /api/boards/:boardId
+// Only empty boards can be deleted; deleted tasks that were on the board go
+// to the default board if restored.
+app.delete('/api/boards/:boardId', requireRole('owner'), (req, res) => {
+  try {
+    const { boardId } = req.params;
+    if (boardId === DEFAULT_BOARD.id) return res.status(400).json({ ok: false, error: 'The default board cannot be deleted.' });
+
+    const outcome = getStorage().withWriteLock(() => {
+      if (!findBoard(boardId)) return { status: 404, error: 'Board not found.' };
+      const count = readProjection().filter(task => task.boardId === boardId).length;
+      if (count) return { status: 409, error: `Board still has ${count} task(s); move or delete them first.` };
+      appendEvent({ type: 'board_delete', id: boardId, deletedAt: new Date().toISOString() }, { actor: req.user.id });
+      return null;
+    });
+    if (outcome) return res.status(outcome.status).json({ ok: false, error: outcome.error });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('API delete board error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to delete board.' });
+  }
+});
+
+// API: GET /api/boards/:boardId/tasks
+// Same query parameters and ETag handling as GET /api/tasks, within one board.
+app.get('/api/boards/:boardId/tasks', requireRole('viewer'), (req, res) => {
+  try {
+    const { boardId } = req.params;
+    if (!findBoard(boardId)) return res.status(404).json({ ok: false, error: 'Board not found.' });
+    sendTaskList(res, { ...req.query, board: boardId });
+  } catch (e) {
+    console.error('API board tasks error:', e);
     res.status(500).json({ ok: false, error: 'Failed to read tasks.' });
   }
 });
 
-// API: POST /api/tasks
-app.post('/api/tasks', (req, res) => {
+// API: POST /api/boards/:boardId/tasks
+// Same body as POST /api/tasks; the task goes on this board.
+app.post('/api/boards/:boardId/tasks', requireRole('member'), (req, res) => {
   try {
-    const { name, date, time, description, priority } = req.body || {};
-    if (!name) return res.status(400).json({ ok: false, error: 'Name is required.' });
-    const id = makeId();
-    const isPriority = !!priority;
+    const { boardId } = req.params;
+    if (!findBoard(boardId)) return res.status(404).json({ ok: false, error: 'Board not found.' });
+    createTask(res, { ...req.body, boardId }, req.user.id);
+  } catch (e) {
+    console.error('API create board task error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to create task.' });
+  }
+});
 
-    const evt = {
-      type: 'create',
-      id,
-      name: String(name).trim(),
-      date: isPriority ? '' : (date ? String(date) : ''),
-      time: isPriority ? '' : (time ? String(time) : ''),
-      description: description ? String(description) : '',
-      priority: isPriority,
+// Check the fields of a webhook subscription from a request body. With
+// `partial`, missing fields are left out (PATCH). Returns { fields } or { error }.
+function parseWebhookFields(body, { partial = false } = {}) {
+  const { url, events, active, secret } = body || {};
+  const fields = {};
+
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(String(url || ''));
+    } catch (e) {
+      return { error: 'A valid http(s) url is required.' };
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return { error: 'A valid http(s) url is required.' };
+    }
+    fields.url = parsed.toString();
+  }
+
+  if (events !== undefined || !partial) {
+    const list = events === undefined ? ['*'] : events;
+    const known = Object.keys(EVENT_TIME_FIELDS);
+    if (!Array.isArray(list) || list.length === 0 || !list.every(type => type === '*' || known.includes(type))) {
+      return { error: `events must be a list of: *, ${known.join(', ')}.` };
+    }
+    fields.events = [...new Set(list)];
+  }
+
+  if (active !== undefined) fields.active = !!active;
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < 16) {
+      return { error: 'secret must be a string of at least 16 characters.' };
+    }
+    fields.secret = secret;
+  }
+  return { fields };
+}
+
+// A subscription as the API shows it: the secret is only returned on creation
+function publicWebhook(hook) {
+  const { secret, ...rest } = hook;
+  return rest;
+}
+
+// API: GET /api/webhooks
+app.get('/api/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ ok: true, webhooks: getWebhookStore().list().map(publicWebhook) });
+  } catch (e) {
+    console.error('API webhooks error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read webhooks.' });
+  }
+});
+
+// API: POST /api/webhooks
+// Body: { url, events?: ['create', 'delete', ...] or ['*'], secret?, active? }.
+// The response is the only place the signing secret is shown.
+app.post('/api/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    const { fields, error } = parseWebhookFields(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const hook = {
+      id: randomId('wh'),
+      active: true,
+      secret: crypto.randomBytes(24).toString('hex'),
+      ...fields,
       createdAt: new Date().toISOString()
     };
-    
-    appendEvent(evt);
-    res.status(201).json({ ok: true, id });
+    updateJsonStore(getWebhookStore(), 'list', 'save', hooks => hooks.push(hook));
+    res.status(201).json({ ok: true, webhook: hook });
   } catch (e) {
-    console.error('API create task error:', e);
-    res.status(500).json({ ok: false, error: 'Failed to create task.' });
+    console.error('API create webhook error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to create webhook.' });
   }
 });
 
-// API: DELETE /api/tasks/:id
-app.delete('/api/tasks/:id', (req, res) => {
+// API: GET /api/webhooks/:id
+app.get('/api/webhooks/:id', requireRole('admin'), (req, res) => {
   try {
-    const id = req.params.id;
-    if (!id) return res.status(400).json({ ok: false, error: 'Task ID required.' });
-    appendEvent({ type: 'delete', id, deletedAt: new Date().toISOString() });
+    const hook = getWebhookStore().list().find(h => h.id === req.params.id);
+    if (!hook) return res.status(404).json({ ok: false, error: 'Webhook not found.' });
+    res.json({ ok: true, webhook: publicWebhook(hook) });
+  } catch (e) {
+    console.error('API webhook error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read webhook.' });
+  }
+});
+
+// API: PATCH /api/webhooks/:id
+// Change url, events, active and/or secret.
+app.patch('/api/webhooks/:id', requireRole('admin'), (req, res) => {
+  try {
+    const { fields, error } = parseWebhookFields(req.body, { partial: true });
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const hook = updateJsonStore(getWebhookStore(), 'list', 'save', hooks => {
+      const found = hooks.find(h => h.id === req.params.id);
+      if (found) Object.assign(found, fields, { updatedAt: new Date().toISOString() });
+      return found;
+    });
+    if (!hook) return res.status(404).json({ ok: false, error: 'Webhook not found.' });
+    res.json({ ok: true, webhook: publicWebhook(hook) });
+  } catch (e) {
+    console.error('API update webhook error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to update webhook.' });
+  }
+});
+
+// API: DELETE /api/webhooks/:id
+// Pending retries for the subscription are dropped.
+app.delete('/api/webhooks/:id', requireRole('admin'), (req, res) => {
+  try {
+    const removed = updateJsonStore(getWebhookStore(), 'list', 'save', hooks => {
+      const index = hooks.findIndex(h => h.id === req.params.id);
+      return index === -1 ? null : hooks.splice(index, 1)[0];
+    });
+    if (!removed) return res.status(404).json({ ok: false, error: 'Webhook not found.' });
     res.json({ ok: true });
   } catch (e) {
-    console.error('API delete task error:', e);
-    res.status(500).json({ ok: false, error: 'Failed to delete task.' });
+    console.error('API delete webhook error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to delete webhook.' });
+  }
+});
+
+// API: GET /api/webhooks/:id/deliveries
+// Delivery attempts for a subscription, newest first (status, HTTP code,
+// error, and when the next retry is due).
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), (req, res) => {
+  try {
+    const store = getWebhookStore();
+    if (!store.list().some(h => h.id === req.params.id)) {
+      return res.status(404).json({ ok: false, error: 'Webhook not found.' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const deliveries = store.deliveries(req.params.id).reverse();
+    res.json({ ok: true, total: deliveries.length, deliveries: deliveries.slice(0, limit) });
+  } catch (e) {
+    console.error('API webhook deliveries error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to read webhook deliveries.' });
+  }
+});
+
+// Admin: POST /admin/snapshot writes a snapshot of the projection now
+app.post('/admin/snapshot', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ ok: true, ...writeSnapshot() });
+  } catch (e) {
+    console.error('Snapshot error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to write snapshot.' });
+  }
+});
+
+// Admin: POST /admin/compact drops fully deleted tasks from the event log
+app.post('/admin/compact', requireRole('admin'), (req, res) => {
+  try {
+    const result = compactEventLog();
+    res.json({ ok: true, ...result, backupFile: path.basename(result.backupFile) });
+  } catch (e) {
+    console.error('Compaction error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to compact event log.' });
+  }
+});
+
+// Admin: GET /admin/log/verify reports bad lines, sequence gaps and unknown ids
+app.get('/admin/log/verify', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ ok: true, ...verifyEventLog() });
+  } catch (e) {
+    console.error('Log verify error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to verify event log.' });
   }
 });
 
@@ -169,8 +2235,25 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Only start the server if this file is run directly (not when imported for tests)
-if (require.main === module) {
+// Only start the server if this file is run directly (not when imported for tests).
+// With WEB_CONCURRENCY > 1 the primary process just forks and babysits workers.
+if (require.main === module && cluster.isPrimary && WORKERS > 1) {
+  let shuttingDown = false;
+  console.log(`Task Tracker v1.2 starting ${WORKERS} workers...`);
+  for (let i = 0; i < WORKERS; i++) cluster.fork();
+
+  cluster.on('exit', (worker, code, signal) => {
+    if (shuttingDown) return;
+    console.error(`Worker ${worker.process.pid} exited (${signal || code}), starting a new one`);
+    cluster.fork();
+  });
+
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, stopping workers...');
+    shuttingDown = true;
+    for (const worker of Object.values(cluster.workers)) worker.process.kill('SIGTERM');
+  });
+} else if (require.main === module) {
   const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`Task Tracker v1.2 listening on http://0.0.0.0:${PORT}`);
     console.log(`📊 Health: http://0.0.0.0:${PORT}/health`);
@@ -179,9 +2262,44 @@ if (require.main === module) {
     console.log(`🔧 API: http://0.0.0.0:${PORT}/api/tasks`);
   });
 
+  // Periodic snapshots so a restart only replays recent events
+  const snapshotTimer = SNAPSHOT_INTERVAL_MS > 0
+    ? setInterval(() => {
+      try {
+        writeSnapshot();
+      } catch (e) {
+        console.error('Periodic snapshot failed:', e);
+      }
+    }, SNAPSHOT_INTERVAL_MS)
+    : null;
+
+  // Recurring tasks and due-date reminders; every worker runs this,
+  // spawnNextOccurrence() and recordReminder() dedupe
+  let schedulerRunning = false;
+  const schedulerTimer = SCHEDULER_INTERVAL_MS > 0
+    ? setInterval(async () => {
+      if (schedulerRunning) return;
+      schedulerRunning = true;
+      try {
+        runRecurrences();
+      } catch (e) {
+        console.error('Recurrence run failed:', e);
+      }
+      try {
+        await runReminders();
+      } catch (e) {
+        console.error('Reminder run failed:', e);
+      } finally {
+        schedulerRunning = false;
+      }
+    }, SCHEDULER_INTERVAL_MS)
+    : null;
+
   // Graceful shutdown for Render
   process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    clearInterval(snapshotTimer);
+    clearInterval(schedulerTimer);
     server.close(() => {
       console.log('Task Tracker process terminated');
       process.exit(0);
@@ -190,3 +2308,11 @@ if (require.main === module) {
 }
 
 module.exports = app;
+// Log maintenance helpers, used by the scripts in scripts/
+module.exports.writeSnapshot = writeSnapshot;
+module.exports.compactEventLog = compactEventLog;
+module.exports.verifyEventLog = verifyEventLog;
+module.exports.quarantineBadLines = quarantineBadLines;
+// Scheduler steps, run on a timer by the server
+module.exports.runRecurrences = runRecurrences;
+module.exports.runReminders = runReminders;
@@ -0,0 +1,134 @@
+/*
+  Local user accounts and sessions.
+  - Passwords are stored as scrypt hashes with a random salt per user:
+    "scrypt:<salt hex>:<hash hex>".
+  - Signing in hands out a random session token. Clients send it back as
+    "Authorization: Bearer <token>" or in the HttpOnly session cookie (which
+    is what the browser and EventSource use). Only its SHA-256 is stored.
+  - Sessions last SESSION_TTL_MS (default 7 days) from sign-in.
+  - Every user has a role; each role may do what the ones before it in
+    ROLES may. Roles are global: a user has the same role on every board.
+    Accounts from before roles existed get one when read (see withRoles()).
+*/
+
+const crypto = require('crypto');
+const { getEventFile } = require('../storage');
+const { createUserStore } = require('./store');
+
+const SESSION_COOKIE = 'session';
+
+// viewer: read; member: create, edit and complete; owner: delete and
+// restore; admin: accounts, webhooks, metrics and log maintenance. There are
+// no per-board roles.
+const ROLES = ['viewer', 'member', 'owner', 'admin'];
+const DEFAULT_ROLE = 'member';
+
+const SCRYPT_KEYLEN = 64;
+
+// Next to the event log unless USER_FILE / SESSION_FILE say otherwise
+function getUserFile() {
+  return process.env.USER_FILE || `${getEventFile()}.users.json`;
+}
+
+function getSessionFile() {
+  return process.env.SESSION_FILE || `${getEventFile()}.sessions.json`;
+}
+
+// Accounts from before roles existed: the first one, which set the server
+// up, becomes an admin and the rest get DEFAULT_ROLE. Saving the list
+// stores the roles.
+function withRoles(users) {
+  return users.map((user, i) => (user.role ? user : { ...user, role: i === 0 ? 'admin' : DEFAULT_ROLE }));
+}
+
+function getUserStore() {
+  const store = createUserStore({ file: getUserFile(), sessionFile: getSessionFile() });
+  return { ...store, list: () => withRoles(store.list()) };
+}
+
+function sessionTtlMs() {
+  return Number(process.env.SESSION_TTL_MS || 7 * 24 * 60 * 60 * 1000);
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A new session for `userId`: the token goes to the client, the session
+// record (which only has the token's hash) to the store
+function createSession(userId, now = Date.now()) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const session = {
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + sessionTtlMs()).toISOString()
+  };
+  return { token, session };
+}
+
+function isExpired(session, now = Date.now()) {
+  return Date.parse(session.expiresAt) <= now;
+}
+
+// The session token a request carries, from its Authorization header or
+// its session cookie; null if there is none
+function tokenFromRequest(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (match) return match[1];
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE && value.length) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// The user a token belongs to, or null when the token is unknown, its
+// session has expired or its user is gone
+function findSessionUser(store, token, now = Date.now()) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const session = store.sessions().find(s => s.tokenHash === tokenHash);
+  if (!session || isExpired(session, now)) return null;
+  return store.list().find(user => user.id === session.userId) || null;
+}
+
+function roleOf(user) {
+  return user.role || DEFAULT_ROLE;
+}
+
+// Whether `user` may do what `role` may
+function hasRole(user, role) {
+  return ROLES.indexOf(roleOf(user)) >= ROLES.indexOf(role);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  ROLES,
+  DEFAULT_ROLE,
+  roleOf,
+  hasRole,
+  getUserStore,
+  sessionTtlMs,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  createSession,
+  isExpired,
+  tokenFromRequest,
+  findSessionUser
+};
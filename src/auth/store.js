@@ -0,0 +1,30 @@
+/*
+  User accounts and sign-in sessions, kept next to the event log.
+  - Users: one JSON file, replaced atomically on every change.
+  - Sessions: likewise; they hold a hash of the token, never the token.
+*/
+
+const { writeAtomic, readJson } = require('../json-file');
+
+function createUserStore({ file, sessionFile }) {
+  return {
+    // All users, in creation order
+    list() {
+      return readJson(file, []);
+    },
+
+    save(users) {
+      writeAtomic(file, JSON.stringify(users, null, 2));
+    },
+
+    sessions() {
+      return readJson(sessionFile, []);
+    },
+
+    saveSessions(sessions) {
+      writeAtomic(sessionFile, JSON.stringify(sessions, null, 2));
+    }
+  };
+}
+
+module.exports = { createUserStore };
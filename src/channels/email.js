@@ -0,0 +1,92 @@
+/*
+  Email reminder channel: a plain-text mail per reminder over SMTP.
+  Meant for a local relay or a stand-in such as MailHog/Mailpit, so it
+  speaks just enough SMTP for that: no TLS and no authentication.
+*/
+
+const net = require('net');
+const os = require('os');
+
+const SMTP_TIMEOUT_MS = 10000;
+
+// Reminder as an RFC 5322 message, lines CRLF-terminated and dot-stuffed
+function formatMessage({ from, to, reminder }) {
+  const { task, leadMinutes, dueAt } = reminder;
+  const when = leadMinutes > 0 ? `in ${leadMinutes} minutes` : 'now';
+  const body = [`"${task.name}" is due ${when} (${dueAt}).`];
+  if (task.description) body.push('', ...task.description.split(/\r?\n/));
+
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: Task due: ${task.name.replace(/[\r\n]+/g, ' ')}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8'
+  ];
+  return [...headers, '', ...body]
+    .map(line => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+}
+
+// Run one SMTP conversation: each step sends a command (null for the
+// greeting) and expects a reply code
+function smtpSession({ host, port }, steps) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    let buffer = '';
+    let step = 0;
+
+    const fail = (err) => {
+      socket.destroy();
+      reject(err);
+    };
+    socket.setEncoding('utf8');
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => fail(new Error('SMTP server timed out')));
+    socket.on('error', fail);
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      // A reply is complete once a line has a space after the code
+      const lines = buffer.split('\r\n');
+      const last = lines.slice(0, -1).find(line => /^\d{3} /.test(line));
+      if (!last) return;
+      buffer = '';
+
+      const expected = steps[step].expect;
+      if (last.slice(0, 3) !== String(expected)) {
+        return fail(new Error(`SMTP: expected ${expected}, got "${last}"`));
+      }
+      step++;
+      if (step === steps.length) {
+        socket.end();
+        return resolve();
+      }
+      socket.write(`${steps[step].send}\r\n`);
+    });
+  });
+}
+
+function createEmailChannel({ host, port, from, to }) {
+  if (!to) throw new Error('REMINDER_EMAIL_TO is required for the email channel');
+  const recipients = to.split(',').map(addr => addr.trim()).filter(Boolean);
+
+  return {
+    name: 'email',
+
+    async send(reminder) {
+      const message = formatMessage({ from, to: recipients, reminder });
+      await smtpSession({ host, port }, [
+        { send: null, expect: 220 },
+        { send: `EHLO ${os.hostname()}`, expect: 250 },
+        { send: `MAIL FROM:<${from}>`, expect: 250 },
+        ...recipients.map(addr => ({ send: `RCPT TO:<${addr}>`, expect: 250 })),
+        { send: 'DATA', expect: 354 },
+        { send: `${message}\r\n.`, expect: 250 },
+        { send: 'QUIT', expect: 221 }
+      ]);
+    }
+  };
+}
+
+module.exports = { createEmailChannel };
@@ -0,0 +1,61 @@
+/*
+  Delivery channels for due-date reminders.
+  Every channel is { name, send(reminder) -> Promise }, where a reminder is
+  { task, dueAt, leadMinutes, notifiedAt, seq }.
+  REMINDER_CHANNELS picks them (comma separated, default "sse"):
+  - sse      a `reminder` message to every open /api/stream
+  - webhook  POST the reminder as JSON to REMINDER_WEBHOOK_URL
+  - email    plain-text mail through SMTP_HOST:SMTP_PORT
+*/
+
+const { createSseChannel } = require('./sse');
+const { createWebhookChannel } = require('./webhook');
+const { createEmailChannel } = require('./email');
+
+// `context.broadcast(type, data)` writes to the open event streams
+function openChannel(name, context) {
+  if (name === 'sse') return createSseChannel(context);
+  if (name === 'webhook') {
+    return createWebhookChannel({
+      url: process.env.REMINDER_WEBHOOK_URL,
+      timeoutMs: Number(process.env.REMINDER_WEBHOOK_TIMEOUT_MS || 5000)
+    });
+  }
+  if (name === 'email') {
+    return createEmailChannel({
+      host: process.env.SMTP_HOST || '127.0.0.1',
+      port: Number(process.env.SMTP_PORT || 1025),
+      from: process.env.REMINDER_EMAIL_FROM || 'task-tracker@localhost',
+      to: process.env.REMINDER_EMAIL_TO
+    });
+  }
+  throw new Error(`Unknown reminder channel: ${name}`);
+}
+
+// Channels are read from the environment every time so tests can switch them
+function getChannels(context) {
+  return (process.env.REMINDER_CHANNELS || 'sse')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map(name => openChannel(name, context));
+}
+
+// Send a reminder through every channel. One failing channel doesn't stop
+// the others; returns [{ channel, ok, error }].
+async function deliverReminder(channels, reminder) {
+  return Promise.all(channels.map(async channel => {
+    try {
+      await channel.send(reminder);
+      return { channel: channel.name, ok: true };
+    } catch (e) {
+      console.error(`Reminder delivery via ${channel.name} failed:`, e.message);
+      return { channel: channel.name, ok: false, error: e.message };
+    }
+  }));
+}
+
+module.exports = {
+  getChannels,
+  deliverReminder
+};
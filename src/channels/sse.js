@@ -0,0 +1,17 @@
+/*
+  SSE reminder channel: a `reminder` message on every open /api/stream.
+  Browsers turn it into a notification; they tag it with the reminder key so
+  several open tabs show it only once.
+*/
+
+function createSseChannel({ broadcast }) {
+  return {
+    name: 'sse',
+
+    async send(reminder) {
+      broadcast('reminder', reminder);
+    }
+  };
+}
+
+module.exports = { createSseChannel };
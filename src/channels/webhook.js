@@ -0,0 +1,24 @@
+/*
+  Webhook reminder channel: POSTs the reminder as JSON to a fixed URL.
+  Any non-2xx answer (or no answer within the timeout) counts as a failure.
+*/
+
+function createWebhookChannel({ url, timeoutMs }) {
+  if (!url) throw new Error('REMINDER_WEBHOOK_URL is required for the webhook channel');
+
+  return {
+    name: 'webhook',
+
+    async send(reminder) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: 'reminder', ...reminder }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!res.ok) throw new Error(`Webhook answered ${res.status}`);
+    }
+  };
+}
+
+module.exports = { createWebhookChannel };
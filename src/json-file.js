@@ -0,0 +1,24 @@
+/*
+  Reading and replacing the small files kept next to the event log (users,
+  sessions, webhook subscriptions, snapshots, rewritten logs).
+  - writeAtomic() writes to a temporary name and renames it over the
+    target, so readers never see half a file.
+  - Neither locks anything: server.js makes read-modify-save changes under
+    the event log's write lock (see updateJsonStore()).
+*/
+
+const fs = require('fs');
+
+function writeAtomic(target, data) {
+  const tmpFile = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, data, { encoding: 'utf-8' });
+  fs.renameSync(tmpFile, target);
+}
+
+// Parsed contents of a JSON file, or `fallback` when it doesn't exist
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+module.exports = { writeAtomic, readJson };
@@ -0,0 +1,127 @@
+/*
+  Recurrence rules for repeating tasks.
+  A rule is { freq, interval, count?, until? }:
+  - freq: daily | weekly | monthly | yearly, every `interval` of them
+  - count: how many occurrences the series has in total
+  - until: last date (YYYY-MM-DD) an occurrence may fall on
+  Occurrences are counted from the series' first date, so a monthly task on
+  the 31st lands on the last day of shorter months and returns to the 31st.
+  Dates are calendar dates without a time zone.
+*/
+
+const { isDate } = require('../public/task-schema');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Safety net for nextOccurrence() on rules that never get past `after`
+const MAX_STEPS = 100000;
+
+// The RRULE subset we understand: FREQ, INTERVAL, COUNT, UNTIL
+function parseRrule(text) {
+  const rule = {};
+  for (const part of text.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value = ''] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      case 'UNTIL': {
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+        rule.until = match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+        break;
+      }
+      default:
+        return { error: `Unsupported RRULE part: ${key}.` };
+    }
+  }
+  return { rule };
+}
+
+// Normalise what a client sent: "weekly", { freq, interval, count, until }
+// or an RRULE string ("FREQ=MONTHLY;INTERVAL=2"). Returns { recurrence } or
+// { error }; null/undefined/"" means no recurrence.
+function parseRecurrence(input) {
+  if (input === undefined || input === null || input === '') return { recurrence: null };
+
+  let rule;
+  if (typeof input === 'string' && FREQUENCIES.includes(input.toLowerCase())) {
+    rule = { freq: input.toLowerCase() };
+  } else if (typeof input === 'string') {
+    const parsed = parseRrule(input.trim());
+    if (parsed.error) return parsed;
+    rule = parsed.rule;
+  } else if (typeof input === 'object' && !Array.isArray(input)) {
+    rule = { ...input, freq: String(input.freq || '').toLowerCase() };
+  } else {
+    return { error: 'recurrence must be a frequency, a rule object or an RRULE string.' };
+  }
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    return { error: `recurrence freq must be one of: ${FREQUENCIES.join(', ')}.` };
+  }
+  const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 1000) {
+    return { error: 'recurrence interval must be a whole number from 1 to 1000.' };
+  }
+
+  const recurrence = { freq: rule.freq, interval };
+  if (rule.count !== undefined) {
+    const count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1) return { error: 'recurrence count must be a positive whole number.' };
+    recurrence.count = count;
+  }
+  if (rule.until !== undefined) {
+    if (typeof rule.until !== 'string' || !isDate(rule.until)) return { error: 'recurrence until must be a date (YYYY-MM-DD).' };
+    recurrence.until = rule.until;
+  }
+  return { recurrence };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// The date of occurrence number `k` (0 = the series start)
+function occurrenceDate(start, recurrence, k) {
+  const [y, m, d] = start.split('-').map(Number);
+  const steps = k * recurrence.interval;
+  let date;
+
+  if (recurrence.freq === 'daily' || recurrence.freq === 'weekly') {
+    const days = recurrence.freq === 'weekly' ? steps * 7 : steps;
+    date = new Date(Date.UTC(y, m - 1, d + days));
+  } else {
+    const months = recurrence.freq === 'yearly' ? steps * 12 : steps;
+    const year = y + Math.floor((m - 1 + months) / 12);
+    const month = (m - 1 + months) % 12;
+    date = new Date(Date.UTC(year, month, Math.min(d, daysInMonth(year, month))));
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// The first occurrence of the series after date `after` for which
+// `accept(date)` holds (e.g. "is still in the future"), as
+// { date, occurrence } with the 1-based occurrence number; null once the
+// series has ended.
+function nextOccurrence({ recurrence, seriesStart, after }, accept = () => true) {
+  for (let k = 1; k < MAX_STEPS; k++) {
+    const date = occurrenceDate(seriesStart, recurrence, k);
+    if (recurrence.count !== undefined && k + 1 > recurrence.count) return null;
+    if (recurrence.until !== undefined && date > recurrence.until) return null;
+    if (date <= after || !accept(date)) continue;
+    return { date, occurrence: k + 1 };
+  }
+  return null;
+}
+
+module.exports = {
+  parseRecurrence,
+  occurrenceDate,
+  nextOccurrence
+};
@@ -0,0 +1,91 @@
+/*
+  Storage backends for the event log.
+  Every adapter stores the log as a sequence of JSON lines and provides:
+  - readSince(position) -> { reset, lines, position }  incremental reads
+  - withWriteLock(fn)                                    cross-process writer lock
+  - append(line, position) -> next position, or null if someone else wrote
+  - readAll() -> [{ ref, raw }]                          for history/verification
+  - rewrite(lines) -> backup location                    for maintenance
+  - loadSnapshot() / saveSnapshot(snapshot)
+  - quarantine(records), close()
+  Positions are opaque to callers. STORAGE_BACKEND picks the adapter
+  (jsonl by default, or sqlite).
+*/
+
+const path = require('path');
+const { createJsonlStorage } = require('./jsonl');
+const { createSqliteStorage } = require('./sqlite');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// Paths are read from the environment every time so tests can switch them
+function getEventFile() {
+  return process.env.EVENT_FILE || path.join(ROOT_DIR, 'eventlist.txt');
+}
+
+function getSnapshotFile() {
+  return process.env.SNAPSHOT_FILE || `${getEventFile()}.snapshot.json`;
+}
+
+function getSqliteFile() {
+  return process.env.SQLITE_FILE || path.join(ROOT_DIR, 'eventlist.db');
+}
+
+function getBackend() {
+  return (process.env.STORAGE_BACKEND || 'jsonl').toLowerCase();
+}
+
+// Open the adapter for the configured backend
+function openStorage(backend = getBackend()) {
+  if (backend === 'jsonl') return createJsonlStorage({ file: getEventFile(), snapshotFile: getSnapshotFile() });
+  if (backend === 'sqlite') return createSqliteStorage({ file: getSqliteFile() });
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
+
+// Shared adapter, reopened when the backend or its location changes
+let current = null;
+
+function getStorage() {
+  const backend = getBackend();
+  const key = `${backend}:${backend === 'sqlite' ? getSqliteFile() : `${getEventFile()}:${getSnapshotFile()}`}`;
+  if (!current || current.key !== key) {
+    if (current) current.storage.close();
+    current = { key, storage: openStorage(backend) };
+  }
+  return current.storage;
+}
+
+// Import a JSONL event file into an SQLite database. Lines that aren't JSON
+// are skipped and counted; refuses to import into a database that has events.
+function migrateJsonlToSqlite(eventFile = getEventFile(), sqliteFile = getSqliteFile()) {
+  const source = createJsonlStorage({ file: eventFile, snapshotFile: `${eventFile}.snapshot.json` });
+  const target = createSqliteStorage({ file: sqliteFile });
+  try {
+    if (target.readAll().length > 0) {
+      throw new Error(`${sqliteFile} already contains events`);
+    }
+
+    const lines = [];
+    const skipped = [];
+    for (const { ref, raw } of source.readAll()) {
+      try {
+        JSON.parse(raw);
+        lines.push(raw);
+      } catch (parseError) {
+        skipped.push(ref);
+      }
+    }
+    target.importLines(lines);
+    return { imported: lines.length, skipped };
+  } finally {
+    target.close();
+  }
+}
+
+module.exports = {
+  getEventFile,
+  getSnapshotFile,
+  getSqliteFile,
+  getStorage,
+  migrateJsonlToSqlite
+};
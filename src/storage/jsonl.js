@@ -0,0 +1,246 @@
+/*
+  JSONL storage adapter (default).
+  - One JSON event per line in an append-only text file.
+  - Positions are byte offsets; `ino`/`mtimeMs` tell us when the file was
+    replaced or rewritten behind our back, so the reader starts over.
+  - Snapshots live in a separate JSON file next to the log.
+  - Writers take a lock file (<log>.lock) so several processes can share
+    the log without interleaving or racing on sequence numbers.
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { writeAtomic } = require('../json-file');
+
+// Bytes hashed just before a snapshot's offset to recognise the log it was taken from
+const TAIL_HASH_BYTES = 256;
+
+// Give up waiting for the write lock after this long
+const LOCK_TIMEOUT_MS = Number(process.env.LOCK_TIMEOUT_MS || 5000);
+// A lock older than this was left behind by a crashed writer
+const LOCK_STALE_MS = Number(process.env.LOCK_STALE_MS || 10000);
+const LOCK_RETRY_MS = 5;
+
+// Synchronous sleep; the lock is only ever held for a few file operations
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function createJsonlStorage({ file, snapshotFile }) {
+  const lockFile = `${file}.lock`;
+  // Re-entrant within this process: maintenance calls append-side helpers
+  let lockDepth = 0;
+  // What we wrote into the lock file while holding it
+  let lockToken = null;
+
+  // Ensure event storage file exists
+  function ensureFile() {
+    if (!fs.existsSync(file)) {
+      fs.writeFileSync(file, '', { encoding: 'utf-8' });
+    }
+  }
+
+  function readBytes(start, end) {
+    const buf = Buffer.alloc(end - start);
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, buf, 0, buf.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return buf;
+  }
+
+  // Contents of the lock file, or null when there is none
+  function readLock() {
+    try {
+      return fs.readFileSync(lockFile, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Remove the stale lock whose contents are `stale`. It is renamed to a name
+  // of our own first, so when another waiter took it over before us we find
+  // their fresh lock there instead, and put it back rather than delete it.
+  function removeStaleLock(stale, token) {
+    const claimed = `${lockFile}.${token}.stale`;
+    try {
+      fs.renameSync(lockFile, claimed);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (fs.readFileSync(claimed, 'utf-8') === stale) {
+      console.error('Removing stale event log lock:', lockFile);
+    } else {
+      try {
+        fs.linkSync(claimed, lockFile);
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+    fs.unlinkSync(claimed);
+  }
+
+  // Create the lock file exclusively, waiting for other writers to finish.
+  // A lock left behind by a crashed process is removed once it is stale.
+  // Returns the token written into the lock, which marks it as ours.
+  function acquireLock() {
+    const token = `${process.pid}-${crypto.randomBytes(8).toString('hex')}`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockFile, 'wx');
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, token, at: new Date().toISOString() }));
+        fs.closeSync(fd);
+        return token;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // Read before stat: if the lock is stale by then, what we read is the stale one
+      const held = readLock();
+      try {
+        if (held !== null && Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+          removeStaleLock(held, token);
+          continue;
+        }
+      } catch (error) {
+        // Released between our open and stat; just retry
+        if (error.code !== 'ENOENT') throw error;
+        continue;
+      }
+
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for event log lock ${lockFile}`);
+      sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  // Remove the lock if it is still ours; a writer that outlived LOCK_STALE_MS
+  // may have lost it to the next one, whose lock must stay
+  function releaseLock(token) {
+    const held = readLock();
+    let owner = null;
+    try {
+      owner = held && JSON.parse(held).token;
+    } catch (error) {
+      // Not ours, whatever it is
+    }
+    if (owner === token) fs.rmSync(lockFile, { force: true });
+  }
+
+  function tailHash(offset) {
+    const buf = readBytes(Math.max(0, offset - TAIL_HASH_BYTES), offset);
+    return crypto.createHash('sha1').update(buf).digest('hex');
+  }
+
+  return {
+    name: 'jsonl',
+    location: file,
+
+    // Complete lines appended after `position` (null = from the start). A
+    // half-written last line is left for the next read. `reset` means the
+    // file no longer continues from `position` and `lines` start from the top.
+    readSince(position) {
+      ensureFile();
+      const stat = fs.statSync(file);
+      const reset = !position
+        || position.ino !== stat.ino
+        || stat.size < position.offset
+        || (stat.size === position.offset && stat.mtimeMs !== position.mtimeMs);
+      let offset = reset ? 0 : position.offset;
+      let lines = [];
+
+      if (stat.size > offset) {
+        const buf = readBytes(offset, stat.size);
+        const end = buf.lastIndexOf(0x0a);
+        if (end !== -1) {
+          lines = buf.toString('utf-8', 0, end).split('\n').filter(Boolean);
+          offset += end + 1;
+        }
+      }
+      return { reset, lines, position: { ino: stat.ino, offset, mtimeMs: stat.mtimeMs } };
+    },
+
+    // Run `fn` while holding the write lock; returns its result
+    withWriteLock(fn) {
+      if (lockDepth === 0) lockToken = acquireLock();
+      lockDepth++;
+      try {
+        return fn();
+      } finally {
+        lockDepth--;
+        if (lockDepth === 0) releaseLock(lockToken);
+      }
+    },
+
+    // Append one line. Returns the position after it when nothing else was
+    // written since `position`, otherwise null (the next read catches up).
+    append(line, position) {
+      ensureFile();
+      const sizeBefore = fs.statSync(file).size;
+      // A torn last line (e.g. from a crash) gets terminated so it can't swallow ours
+      const torn = sizeBefore > 0 && readBytes(sizeBefore - 1, sizeBefore)[0] !== 0x0a;
+      const data = (torn ? '\n' : '') + line + '\n';
+      fs.appendFileSync(file, data, { encoding: 'utf-8' });
+
+      const stat = fs.statSync(file);
+      const inSync = position && sizeBefore === position.offset && stat.size === sizeBefore + Buffer.byteLength(data);
+      if (!inSync) return null;
+      return { ino: stat.ino, offset: stat.size, mtimeMs: stat.mtimeMs };
+    },
+
+    // Every non-empty line with its 1-based line number
+    readAll() {
+      ensureFile();
+      const records = [];
+      fs.readFileSync(file, 'utf-8').split('\n').forEach((raw, i) => {
+        if (raw) records.push({ ref: i + 1, raw });
+      });
+      return records;
+    },
+
+    // Replace the log with `lines`, keeping a timestamped .bak copy of the original
+    rewrite(lines) {
+      ensureFile();
+      const backupFile = `${file}.${Date.now()}.bak`;
+      fs.copyFileSync(file, backupFile);
+      writeAtomic(file, lines.map(line => line + '\n').join(''));
+      return backupFile;
+    },
+
+    // Snapshot whose position still matches the log on disk, or null
+    loadSnapshot() {
+      ensureFile();
+      if (!fs.existsSync(snapshotFile)) return null;
+      try {
+        const snap = JSON.parse(fs.readFileSync(snapshotFile, 'utf-8'));
+        const { position } = snap;
+        if (!position || position.offset > fs.statSync(file).size) return null;
+        if (position.tailHash !== tailHash(position.offset)) return null;
+        return snap;
+      } catch (error) {
+        console.error('Ignoring unreadable snapshot:', error.message);
+        return null;
+      }
+    },
+
+    saveSnapshot(snapshot) {
+      const position = { ...snapshot.position, tailHash: tailHash(snapshot.position.offset) };
+      writeAtomic(snapshotFile, JSON.stringify({ ...snapshot, position }));
+    },
+
+    // Keep bad records in a .quarantine file next to the log (one JSON record per line)
+    quarantine(records) {
+      const quarantineFile = `${file}.quarantine`;
+      fs.appendFileSync(quarantineFile, records.map(r => JSON.stringify(r) + '\n').join(''), { encoding: 'utf-8' });
+      return quarantineFile;
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { createJsonlStorage };
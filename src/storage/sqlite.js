@@ -0,0 +1,154 @@
+/*
+  SQLite storage adapter (STORAGE_BACKEND=sqlite).
+  - Each event's JSON line is stored as-is in the `events` table, so
+    checksums and verification work the same as with the JSONL file.
+  - Positions are the last row id read plus the log `generation`, which
+    rewrite() bumps so readers elsewhere know to start over.
+  - Snapshots live in the `meta` table, quarantined records in `quarantine`.
+  - Writers serialize through IMMEDIATE transactions, so several processes
+    can share the database.
+*/
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (id INTEGER PRIMARY KEY AUTOINCREMENT, body TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS quarantine (id INTEGER PRIMARY KEY AUTOINCREMENT, body TEXT NOT NULL);
+`;
+
+function createSqliteStorage({ file }) {
+  // Loaded lazily, and an optional dependency, so JSONL deployments don't
+  // need the native module
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package; install it with npm install better-sqlite3');
+  }
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(SCHEMA);
+
+  const stmts = {
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+    maxId: db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM events'),
+    since: db.prepare('SELECT id, body FROM events WHERE id > ? ORDER BY id'),
+    insert: db.prepare('INSERT INTO events (body) VALUES (?)'),
+    deleteAll: db.prepare('DELETE FROM events'),
+    quarantine: db.prepare('INSERT INTO quarantine (body) VALUES (?)')
+  };
+
+  function generation() {
+    const row = stmts.getMeta.get('generation');
+    return row ? Number(row.value) : 0;
+  }
+
+  const appendTx = db.transaction((line, position) => {
+    const before = stmts.maxId.get().id;
+    const id = Number(stmts.insert.run(line).lastInsertRowid);
+    const inSync = position && position.generation === generation() && position.rowid === before;
+    return inSync ? { generation: position.generation, rowid: id } : null;
+  });
+
+  const rewriteTx = db.transaction(lines => {
+    stmts.deleteAll.run();
+    for (const line of lines) stmts.insert.run(line);
+    stmts.setMeta.run('generation', String(generation() + 1));
+  });
+
+  return {
+    name: 'sqlite',
+    location: file,
+
+    // Rows appended after `position` (null = from the start). `reset` means
+    // the log was rewritten since and `lines` start from the top.
+    readSince(position) {
+      const gen = generation();
+      const reset = !position || position.generation !== gen;
+      let rowid = reset ? 0 : position.rowid;
+      const lines = [];
+      for (const row of stmts.since.all(rowid)) {
+        lines.push(row.body);
+        rowid = row.id;
+      }
+      return { reset, lines, position: { generation: gen, rowid } };
+    },
+
+    // Run `fn` inside an IMMEDIATE transaction, which holds the database's
+    // write lock until it commits; returns its result
+    withWriteLock(fn) {
+      if (db.inTransaction) return fn();
+      return db.transaction(fn).immediate();
+    },
+
+    // Append one line. Returns the position after it when nothing else was
+    // written since `position`, otherwise null (the next read catches up).
+    append(line, position) {
+      return appendTx(line, position);
+    },
+
+    // Every row with its row id
+    readAll() {
+      return stmts.since.all(0).map(row => ({ ref: row.id, raw: row.body }));
+    },
+
+    // Replace the log with `lines`, keeping a timestamped .bak copy of the
+    // events. The copy goes through a second connection because VACUUM INTO
+    // can't run inside the write lock's transaction.
+    rewrite(lines) {
+      const backupFile = `${file}.${Date.now()}.bak`;
+      const backup = new Database(backupFile);
+      try {
+        backup.exec(SCHEMA);
+        const insert = backup.prepare('INSERT INTO events (id, body) VALUES (?, ?)');
+        backup.transaction(rows => {
+          for (const row of rows) insert.run(row.id, row.body);
+        })(stmts.since.all(0));
+      } finally {
+        backup.close();
+      }
+      rewriteTx(lines);
+      return backupFile;
+    },
+
+    // Snapshot whose position still matches the log, or null
+    loadSnapshot() {
+      const row = stmts.getMeta.get('snapshot');
+      if (!row) return null;
+      try {
+        const snap = JSON.parse(row.value);
+        const { position } = snap;
+        if (!position || position.generation !== generation()) return null;
+        if (position.rowid > stmts.maxId.get().id) return null;
+        return snap;
+      } catch (error) {
+        console.error('Ignoring unreadable snapshot:', error.message);
+        return null;
+      }
+    },
+
+    saveSnapshot(snapshot) {
+      stmts.setMeta.run('snapshot', JSON.stringify(snapshot));
+    },
+
+    quarantine(records) {
+      for (const record of records) stmts.quarantine.run(JSON.stringify(record));
+      return `${file} (quarantine table)`;
+    },
+
+    // Bulk insert used by the JSONL import
+    importLines(lines) {
+      db.transaction(() => {
+        for (const line of lines) stmts.insert.run(line);
+      })();
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,175 @@
+/*
+  Query parameters for GET /api/tasks: search, filters, sort and paging.
+  - q: every word must appear in the name or description (case-insensitive)
+  - priority: comma-separated levels (low, normal, high, urgent)
+  - status=open|completed
+  - tag: comma-separated tags the task must all carry
+  - board: id of the board the task is on
+  - dateFrom / dateTo: inclusive range on the task's date (YYYY-MM-DD)
+  - dueAfter / dueBefore: ISO timestamps compared with dueAt
+  - sort=createdAt|name|date|dueAt|updatedAt|priority, order=asc|desc
+  - limit (1-500) and cursor for paging; without limit every match is returned
+  Cursors are opaque: base64url JSON holding the sort, the order and the
+  sort value and id of the last task on the page. Paging is by key, so
+  tasks added or removed between pages don't shift the next page.
+*/
+
+const { PRIORITY_LEVELS, normalizeTag } = require('../public/task-schema');
+
+const SORT_FIELDS = ['createdAt', 'name', 'date', 'dueAt', 'updatedAt', 'priority'];
+const MAX_LIMIT = 500;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(text) {
+  try {
+    const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf-8'));
+    return cursor && typeof cursor === 'object' && typeof cursor.id === 'string' ? cursor : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Turn the query string into options for queryTasks(). Returns
+// { options } or { errors: [{ field, message }] }.
+function parseTaskQuery(query) {
+  const errors = [];
+  const options = {};
+  const param = name => (typeof query[name] === 'string' && query[name] !== '' ? query[name] : undefined);
+
+  const q = param('q');
+  if (q !== undefined) options.terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const priority = param('priority');
+  if (priority !== undefined) {
+    options.priority = priority.split(',').map(level => level.trim().toLowerCase());
+    if (!options.priority.every(level => PRIORITY_LEVELS.includes(level))) {
+      errors.push({ field: 'priority', message: `priority must be one or more of: ${PRIORITY_LEVELS.join(', ')}.` });
+    }
+  }
+
+  const status = param('status');
+  if (status !== undefined) {
+    if (status === 'open' || status === 'completed') options.status = status;
+    else errors.push({ field: 'status', message: 'status must be open or completed.' });
+  }
+
+  const board = param('board');
+  if (board !== undefined) options.board = board;
+
+  const tag = param('tag');
+  if (tag !== undefined) options.tags = tag.split(',').map(normalizeTag).filter(Boolean);
+
+  for (const field of ['dateFrom', 'dateTo']) {
+    const value = param(field);
+    if (value === undefined) continue;
+    if (DATE_RE.test(value)) options[field] = value;
+    else errors.push({ field, message: `${field} must be a date like 2026-01-31.` });
+  }
+
+  for (const field of ['dueAfter', 'dueBefore']) {
+    const value = param(field);
+    if (value === undefined) continue;
+    const ts = Date.parse(value);
+    if (!Number.isNaN(ts)) options[field] = ts;
+    else errors.push({ field, message: `${field} must be an ISO timestamp.` });
+  }
+
+  options.sort = param('sort') || 'createdAt';
+  if (!SORT_FIELDS.includes(options.sort)) {
+    errors.push({ field: 'sort', message: `sort must be one of: ${SORT_FIELDS.join(', ')}.` });
+  }
+  options.order = param('order') || 'asc';
+  if (options.order !== 'asc' && options.order !== 'desc') {
+    errors.push({ field: 'order', message: 'order must be asc or desc.' });
+  }
+
+  const limit = param('limit');
+  if (limit !== undefined) {
+    options.limit = Number(limit);
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+      errors.push({ field: 'limit', message: `limit must be a whole number from 1 to ${MAX_LIMIT}.` });
+    }
+  }
+
+  const cursor = param('cursor');
+  if (cursor !== undefined) {
+    options.cursor = decodeCursor(cursor);
+    if (!options.cursor || options.cursor.sort !== options.sort || options.cursor.order !== options.order) {
+      errors.push({ field: 'cursor', message: 'cursor is invalid or belongs to a different sort.' });
+    }
+  }
+
+  return errors.length ? { errors } : { options };
+}
+
+function matches(task, options) {
+  if (options.terms) {
+    const text = `${task.name}\n${task.description || ''}`.toLowerCase();
+    if (!options.terms.every(term => text.includes(term))) return false;
+  }
+  if (options.board !== undefined && task.boardId !== options.board) return false;
+  if (options.tags && !options.tags.every(tag => (task.tags || []).includes(tag))) return false;
+  if (options.priority !== undefined && !options.priority.includes(task.priority)) return false;
+  if (options.status !== undefined && task.status !== options.status) return false;
+  if (options.dateFrom !== undefined && !(task.date && task.date >= options.dateFrom)) return false;
+  if (options.dateTo !== undefined && !(task.date && task.date <= options.dateTo)) return false;
+  if (options.dueAfter !== undefined && !(task.dueAt && Date.parse(task.dueAt) > options.dueAfter)) return false;
+  if (options.dueBefore !== undefined && !(task.dueAt && Date.parse(task.dueAt) < options.dueBefore)) return false;
+  return true;
+}
+
+// The value a task is sorted by; tasks without one ('' or null) sort last
+// whichever the order
+function sortValue(task, sort) {
+  const value = task[sort];
+  if (value === undefined || value === null || value === '') return null;
+  if (sort === 'priority') return PRIORITY_LEVELS.indexOf(value);
+  return sort === 'name' ? value.toLowerCase() : value;
+}
+
+// Compare by (sort value, id); `order` flips the values but missing values
+// stay last and ids always ascend, so the order is total and stable
+function compareKeys(a, b, order) {
+  if (a.value !== b.value) {
+    if (a.value === null) return 1;
+    if (b.value === null) return -1;
+    const cmp = a.value < b.value ? -1 : 1;
+    return order === 'desc' ? -cmp : cmp;
+  }
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? -1 : 1;
+}
+
+// Filter, sort and page `tasks`. Returns { tasks, total, nextCursor }, where
+// total counts every match and nextCursor is null on the last page.
+function queryTasks(tasks, options) {
+  const { sort, order } = options;
+  const keyed = tasks
+    .filter(task => matches(task, options))
+    .map(task => ({ task, key: { value: sortValue(task, sort), id: task.id } }))
+    .sort((a, b) => compareKeys(a.key, b.key, order));
+
+  let page = keyed;
+  if (options.cursor) {
+    const after = { value: options.cursor.value, id: options.cursor.id };
+    page = page.filter(({ key }) => compareKeys(key, after, order) > 0);
+  }
+
+  let nextCursor = null;
+  if (options.limit !== undefined && page.length > options.limit) {
+    page = page.slice(0, options.limit);
+    const last = page[page.length - 1].key;
+    nextCursor = encodeCursor({ sort, order, value: last.value, id: last.id });
+  }
+
+  return { tasks: page.map(({ task }) => task), total: keyed.length, nextCursor };
+}
+
+module.exports = {
+  parseTaskQuery,
+  queryTasks
+};
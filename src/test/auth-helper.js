@@ -0,0 +1,68 @@
+/*
+  Requests as a signed-in test user. signIn() writes a user and a session
+  straight into the stores next to the current EVENT_FILE (going through
+  the API would hash a password for every test); request(app) then works
+  like supertest's, with that session's bearer token on every request.
+*/
+const supertest = require('supertest');
+
+const TEST_PASSWORD = 'test password';
+
+// Token request() signs with, and the password hash every test user shares
+let currentToken = null;
+let passwordHash = null;
+
+// Add a user (fields override the defaults) with a session of its own.
+// Returns { user, token }.
+function addUser(fields = {}) {
+  const auth = require('../auth');
+  passwordHash = passwordHash || auth.hashPassword(TEST_PASSWORD);
+  const store = auth.getUserStore();
+  const users = store.list();
+  const user = {
+    id: `u_test${users.length + 1}`,
+    username: `tester${users.length + 1}`,
+    name: `Tester ${users.length + 1}`,
+    passwordHash,
+    createdAt: new Date().toISOString(),
+    ...fields
+  };
+  store.save([...users, user]);
+  const { token, session } = auth.createSession(user.id);
+  store.saveSessions([...store.sessions(), session]);
+  return { user, token };
+}
+
+// Start over with a single user and sign request() in as them
+function signIn(fields = {}) {
+  const store = require('../auth').getUserStore();
+  store.save([]);
+  store.saveSessions([]);
+  const signedIn = addUser(fields);
+  currentToken = signedIn.token;
+  return signedIn;
+}
+
+function authHeader(token = currentToken) {
+  return { Authorization: `Bearer ${token}` };
+}
+
+function request(app) {
+  const agent = supertest(app);
+  const signed = test => (currentToken ? test.set(authHeader()) : test);
+  return {
+    get: url => signed(agent.get(url)),
+    post: url => signed(agent.post(url)),
+    put: url => signed(agent.put(url)),
+    patch: url => signed(agent.patch(url)),
+    delete: url => signed(agent.delete(url))
+  };
+}
+
+module.exports = {
+  TEST_PASSWORD,
+  addUser,
+  signIn,
+  authHeader,
+  request
+};
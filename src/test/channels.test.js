@@ -0,0 +1,124 @@
+const http = require('http');
+const net = require('net');
+const { createWebhookChannel } = require('../channels/webhook');
+const { createEmailChannel } = require('../channels/email');
+const { getChannels } = require('../channels');
+
+const reminder = {
+  task: { id: 't_1', name: 'Water the plants', description: 'All of them\n.even this line', date: '2026-05-01', time: '09:00' },
+  dueAt: '2026-05-01T09:00:00.000Z',
+  leadMinutes: 15,
+  notifiedAt: '2026-05-01T08:45:00.000Z',
+  seq: 7
+};
+
+// Start a server on a free port; resolves with it once listening
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('Reminder Channels', () => {
+  let server;
+
+  afterEach((done) => {
+    delete process.env.REMINDER_CHANNELS;
+    if (server) server.close(() => done());
+    else done();
+    server = null;
+  });
+
+  test('getChannels should follow REMINDER_CHANNELS and reject unknown names', () => {
+    expect(getChannels({ broadcast() {} }).map(c => c.name)).toEqual(['sse']);
+
+    process.env.REMINDER_CHANNELS = 'sse, carrier-pigeon';
+    expect(() => getChannels({ broadcast() {} })).toThrow('Unknown reminder channel: carrier-pigeon');
+  });
+
+  test('Webhook channel should POST the reminder as JSON', async () => {
+    const received = [];
+    server = await listen(http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, type: req.headers['content-type'], body: JSON.parse(body) });
+        res.end();
+      });
+    }));
+
+    const channel = createWebhookChannel({ url: `http://127.0.0.1:${server.address().port}/hook`, timeoutMs: 2000 });
+    await channel.send(reminder);
+
+    expect(received).toHaveLength(1);
+    expect(received[0].method).toBe('POST');
+    expect(received[0].type).toMatch(/application\/json/);
+    expect(received[0].body).toEqual({ type: 'reminder', ...reminder });
+  });
+
+  test('Webhook channel should fail on a non-2xx answer', async () => {
+    server = await listen(http.createServer((req, res) => {
+      res.statusCode = 503;
+      res.end();
+    }));
+
+    const channel = createWebhookChannel({ url: `http://127.0.0.1:${server.address().port}/hook`, timeoutMs: 2000 });
+    await expect(channel.send(reminder)).rejects.toThrow('Webhook answered 503');
+  });
+
+  test('Email channel should deliver a mail over SMTP', async () => {
+    const commands = [];
+    let data = null;
+    server = await listen(net.createServer((socket) => {
+      let buffer = '';
+      let inData = false;
+      socket.write('220 stand-in ready\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 queued\r\n');
+            } else {
+              data.push(line);
+            }
+            continue;
+          }
+          commands.push(line);
+          if (line === 'DATA') {
+            inData = true;
+            data = [];
+            socket.write('354 go ahead\r\n');
+          } else if (line === 'QUIT') {
+            socket.end('221 bye\r\n');
+          } else if (line.startsWith('EHLO')) {
+            socket.write('250-stand-in\r\n250 8BITMIME\r\n');
+          } else {
+            socket.write('250 ok\r\n');
+          }
+        }
+      });
+    }));
+
+    const channel = createEmailChannel({
+      host: '127.0.0.1',
+      port: server.address().port,
+      from: 'tracker@example.test',
+      to: 'a@example.test, b@example.test'
+    });
+    await channel.send(reminder);
+
+    expect(commands.slice(2)).toEqual([
+      'RCPT TO:<a@example.test>',
+      'RCPT TO:<b@example.test>',
+      'DATA',
+      'QUIT'
+    ]);
+    expect(commands[1]).toBe('MAIL FROM:<tracker@example.test>');
+    expect(data).toContain('Subject: Task due: Water the plants');
+    expect(data).toContain('"Water the plants" is due in 15 minutes (2026-05-01T09:00:00.000Z).');
+    expect(data).toContain('..even this line');
+  });
+});
@@ -0,0 +1,56 @@
+const { parseRecurrence, occurrenceDate, nextOccurrence } = require('../recurrence');
+
+describe('Recurrence Rules', () => {
+  test('parseRecurrence should accept frequencies, rule objects and RRULE strings', () => {
+    expect(parseRecurrence('Weekly')).toEqual({ recurrence: { freq: 'weekly', interval: 1 } });
+    expect(parseRecurrence({ freq: 'monthly', interval: 3, count: 4 })).toEqual({
+      recurrence: { freq: 'monthly', interval: 3, count: 4 }
+    });
+    expect(parseRecurrence('RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20261231T000000Z')).toEqual({
+      recurrence: { freq: 'daily', interval: 2, until: '2026-12-31' }
+    });
+    expect(parseRecurrence(null)).toEqual({ recurrence: null });
+  });
+
+  test('parseRecurrence should reject rules it cannot honour', () => {
+    expect(parseRecurrence('hourly').error).toBeDefined();
+    expect(parseRecurrence('FREQ=WEEKLY;BYDAY=MO').error).toBe('Unsupported RRULE part: BYDAY.');
+    expect(parseRecurrence({ freq: 'daily', interval: 0 }).error).toBeDefined();
+    expect(parseRecurrence({ freq: 'daily', count: 1.5 }).error).toBeDefined();
+    expect(parseRecurrence({ freq: 'daily', until: 'next tuesday' }).error).toBeDefined();
+    expect(parseRecurrence(['daily']).error).toBeDefined();
+  });
+
+  test('parseRecurrence should reject UNTIL dates that do not exist', () => {
+    expect(parseRecurrence('FREQ=DAILY;UNTIL=20260231').error).toBe('recurrence until must be a date (YYYY-MM-DD).');
+    expect(parseRecurrence({ freq: 'daily', until: '2026-13-01' }).error).toBeDefined();
+    expect(parseRecurrence('FREQ=DAILY;UNTIL=20280229').recurrence.until).toBe('2028-02-29');
+  });
+
+  test('occurrenceDate should step from the series start', () => {
+    const weekly = { freq: 'weekly', interval: 2 };
+    expect(occurrenceDate('2026-12-24', weekly, 1)).toBe('2027-01-07');
+    expect(occurrenceDate('2024-02-29', { freq: 'yearly', interval: 1 }, 1)).toBe('2025-02-28');
+  });
+
+  test('Monthly series should clamp to short months without drifting', () => {
+    const monthly = { freq: 'monthly', interval: 1 };
+    expect([1, 2, 3].map(k => occurrenceDate('2026-01-31', monthly, k))).toEqual([
+      '2026-02-28',
+      '2026-03-31',
+      '2026-04-30'
+    ]);
+  });
+
+  test('nextOccurrence should skip rejected dates and stop at COUNT or UNTIL', () => {
+    const series = { recurrence: { freq: 'daily', interval: 1 }, seriesStart: '2026-03-01', after: '2026-03-01' };
+    expect(nextOccurrence(series)).toEqual({ date: '2026-03-02', occurrence: 2 });
+    expect(nextOccurrence(series, date => date > '2026-03-10')).toEqual({ date: '2026-03-11', occurrence: 11 });
+
+    const counted = { ...series, recurrence: { freq: 'daily', interval: 1, count: 3 }, after: '2026-03-03' };
+    expect(nextOccurrence(counted)).toBeNull();
+
+    const until = { ...series, recurrence: { freq: 'weekly', interval: 1, until: '2026-03-10' }, after: '2026-03-08' };
+    expect(nextOccurrence(until)).toBeNull();
+  });
+});
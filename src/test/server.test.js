@@ -1,6 +1,9 @@
-const request = require('supertest');
+const supertest = require('supertest');
+const { request, signIn, addUser, authHeader, TEST_PASSWORD } = require('./auth-helper');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
 
 // Clear module cache and set environment BEFORE importing app
 function getFreshApp() {
@@ -15,6 +18,22 @@ function getFreshApp() {
   return require('../../server');
 }
 
+// The server's local date and time at `ts`, as task fields: { date, time }
+function localDateTime(ts) {
+  const d = new Date(ts);
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`,
+    time: `${pad(d.getHours())}:${pad(d.getMinutes())}`
+  };
+}
+
+// Create a task as the signed-in test user and return its id
+async function createTask(app, name, body = {}) {
+  const res = await request(app).post('/api/tasks').send({ name, ...body });
+  return res.body.id;
+}
+
 describe('Task Tracker API - Version 1.2 - Enhanced Tests', () => {
   let app;
   let TEST_EVENT_FILE;
@@ -30,6 +49,7 @@ describe('Task Tracker API - Version 1.2 - Enhanced Tests', () => {
     }
     // Recreate empty file
     fs.writeFileSync(TEST_EVENT_FILE, '', { encoding: 'utf-8' });
+    signIn();
   });
 
   afterEach(() => {
@@ -74,8 +94,16 @@ describe('Task Tracker API - Version 1.2 - Enhanced Tests', () => {
         total_tasks: 2,
         priority_tasks: 1,
         regular_tasks: 1,
+        priority_levels: { low: 0, normal: 1, high: 0, urgent: 1 },
         tasks_with_dates: 1,
         tasks_with_descriptions: 1,
+        open_tasks: 2,
+        completed_tasks: 0,
+        tagged_tasks: 0,
+        tag_counts: {},
+        boards: {
+          default: { name: 'Default', total_tasks: 2, open_tasks: 2, completed_tasks: 0 }
+        },
         server_timestamp: expect.any(String),
         server_uptime: expect.any(Number)
       });
@@ -127,29 +155,29 @@ describe('Task Tracker API - Version 1.2 - Enhanced Tests', () => {
       expect(task.date).toBe(taskData.date);
       expect(task.time).toBe(taskData.time);
       expect(task.description).toBe(taskData.description);
-      expect(task.priority).toBe(false);
+      expect(task.priority).toBe('normal');
       expect(task.createdAt).toMatch(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z/);
     });
 
-    test('POST /api/tasks should create priority task without date/time regardless of input', async () => {
+    test('POST /api/tasks should keep date/time on a priority task', async () => {
       const response = await request(app)
         .post('/api/tasks')
         .send({
           name: 'Priority Task',
           date: '2024-01-01',
           time: '10:00',
-          description: 'Should ignore date/time',
-          priority: true
+          description: 'Urgent with a deadline',
+          priority: 'urgent'
         });
       
       expect(response.status).toBe(201);
       
       const tasksResponse = await request(app).get('/api/tasks');
       const task = tasksResponse.body.tasks[0];
-      expect(task.priority).toBe(true);
-      expect(task.date).toBe('');
-      expect(task.time).toBe('');
-      expect(task.description).toBe('Should ignore date/time'); // Description should persist
+      expect(task.priority).toBe('urgent');
+      expect(task.date).toBe('2024-01-01');
+      expect(task.time).toBe('10:00');
+      expect(task.dueAt).not.toBeNull();
     });
 
     test('POST /api/tasks should trim task name whitespace', async () => {
@@ -205,6 +233,62 @@ describe('Task Tracker API - Version 1.2 - Enhanced Tests', () => {
       expect(response.status).toBe(400);
     });
 
+    test('POST /api/tasks should list every field problem', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .send({ name: '   ', date: '2026-02-30', time: '9am', colour: 'red' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.ok).toBe(false);
+      expect(response.body.errors).toEqual([
+        { field: 'colour', message: 'Unknown field "colour".' },
+        { field: 'name', message: 'Name is required.' },
+        { field: 'date', message: 'Date must be a date like 2026-01-31.' },
+        { field: 'time', message: 'Time must be a 24-hour time like 09:30.' }
+      ]);
+      expect(response.body.error).toContain('Name is required.');
+      expect((await request(app).get('/api/tasks')).body.tasks).toHaveLength(0);
+    });
+
+    test('POST /api/tasks should check field types and length limits', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .send({ name: 42, priority: 'yes', description: 'A'.repeat(10001) });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map(e => e.field)).toEqual(['name', 'description', 'priority']);
+    });
+
+    test('PATCH /api/tasks/:id should validate the fields it is given', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Valid' });
+      const url = `/api/tasks/${created.body.id}`;
+
+      const badTime = await request(app).patch(url).send({ time: '25:00' });
+      const recurrence = await request(app).patch(url).send({ recurrence: 'daily' });
+      const good = await request(app).patch(url).send({ date: ' 2026-05-01 ', time: '23:59' });
+
+      expect(badTime.status).toBe(400);
+      expect(badTime.body.errors).toEqual([{ field: 'time', message: 'Time must be a 24-hour time like 09:30.' }]);
+      expect(recurrence.status).toBe(400);
+      expect(good.status).toBe(200);
+      expect(good.body.task).toMatchObject({ date: '2026-05-01', time: '23:59' });
+    });
+
+    test('Malformed and oversized JSON bodies should get JSON errors', async () => {
+      const malformed = await request(app)
+        .post('/api/tasks')
+        .set('Content-Type', 'application/json')
+        .send('{"name": ');
+      const oversized = await request(app)
+        .post('/api/tasks')
+        .send({ name: 'Huge', description: 'A'.repeat(100 * 1024) });
+
+      expect(malformed.status).toBe(400);
+      expect(malformed.body).toEqual({ ok: false, error: 'Request body is not valid JSON.' });
+      expect(oversized.status).toBe(413);
+      expect(oversized.body.ok).toBe(false);
+    });
+
     test('POST /api/tasks should handle extremely long task name', async () => {
       const longName = 'A'.repeat(1000);
       const response = await request(app)
@@ -220,46 +304,64 @@ describe('Task Tracker API - Version 1.2 - Enhanced Tests', () => {
 
   // ==================== TASK PRIORITY RULES ====================
   describe('Task Priority Rules and Behavior', () => {
-    test('Mixed priority and regular tasks should maintain correct date/time behavior', async () => {
-      // Create priority task
-      await request(app).post('/api/tasks').send({
-        name: 'Priority Task',
-        date: '2024-01-01',
-        time: '10:00',
-        priority: true
-      });
+    test('Every priority level should be accepted, case-insensitively', async () => {
+      for (const priority of ['low', 'Normal', 'HIGH', 'urgent']) {
+        const res = await request(app).post('/api/tasks').send({ name: `Task ${priority}`, priority });
+        expect(res.status).toBe(201);
+      }
 
-      // Create regular task
-      await request(app).post('/api/tasks').send({
-        name: 'Regular Task',
-        date: '2024-02-01',
-        time: '14:30',
-        priority: false
-      });
+      const tasksResponse = await request(app).get('/api/tasks');
+      expect(tasksResponse.body.tasks.map(t => t.priority)).toEqual(['low', 'normal', 'high', 'urgent']);
+    });
+
+    test('Boolean priorities from older clients should map to levels', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Old urgent', priority: true });
+      await request(app).post('/api/tasks').send({ name: 'Old regular', priority: false });
 
       const tasksResponse = await request(app).get('/api/tasks');
-      expect(tasksResponse.body.tasks).toHaveLength(2);
+      expect(tasksResponse.body.tasks.map(t => t.priority)).toEqual(['urgent', 'normal']);
+    });
 
-      // Find priority task
-      const priorityTask = tasksResponse.body.tasks.find(t => t.priority);
-      expect(priorityTask.date).toBe('');
-      expect(priorityTask.time).toBe('');
+    test('Unknown priority levels should be rejected', async () => {
+      const res = await request(app).post('/api/tasks').send({ name: 'Task', priority: 'critical' });
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([{ field: 'priority', message: 'Priority must be one of: low, normal, high, urgent.' }]);
+    });
+
+    test('Events written with boolean priorities should be migrated on read', async () => {
+      const lines = [
+        { type: 'create', id: 'old1', name: 'Was priority', date: '', time: '', priority: true, createdAt: '2024-01-01T00:00:00.000Z' },
+        { type: 'create', id: 'old2', name: 'Was regular', date: '2024-01-02', time: '09:00', priority: false, createdAt: '2024-01-01T00:00:01.000Z' },
+        { type: 'update', id: 'old2', priority: true, updatedAt: '2024-01-01T00:00:02.000Z' }
+      ];
+      fs.writeFileSync(TEST_EVENT_FILE, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
 
-      // Find regular task
-      const regularTask = tasksResponse.body.tasks.find(t => !t.priority);
-      expect(regularTask.date).toBe('2024-02-01');
-      expect(regularTask.time).toBe('14:30');
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks.map(t => [t.id, t.priority])).toEqual([['old1', 'urgent'], ['old2', 'urgent']]);
+      expect(tasks[1].date).toBe('2024-01-02');
     });
 
-    test('Priority field should be boolean in response', async () => {
-      await request(app).post('/api/tasks').send({
-        name: 'Test Task',
-        priority: true
-      });
+    test('/metrics should break tasks down per priority level', async () => {
+      for (const priority of ['low', 'high', 'urgent', 'urgent']) {
+        await request(app).post('/api/tasks').send({ name: 'Task', priority });
+      }
+      await request(app).post('/api/tasks').send({ name: 'Default' });
 
-      const tasksResponse = await request(app).get('/api/tasks');
-      const task = tasksResponse.body.tasks[0];
-      expect(typeof task.priority).toBe('boolean');
+      const res = await request(app).get('/metrics');
+      expect(res.body.priority_levels).toEqual({ low: 1, normal: 1, high: 1, urgent: 2 });
+      expect(res.body.priority_tasks).toBe(3);
+      expect(res.body.regular_tasks).toBe(2);
+    });
+
+    test('Tasks should sort and filter by priority level', async () => {
+      for (const priority of ['high', 'low', 'urgent', 'normal']) {
+        await request(app).post('/api/tasks').send({ name: priority, priority });
+      }
+
+      const sorted = await request(app).get('/api/tasks?sort=priority&order=desc');
+      expect(sorted.body.tasks.map(t => t.name)).toEqual(['urgent', 'high', 'normal', 'low']);
+      const filtered = await request(app).get('/api/tasks?priority=high,urgent');
+      expect(filtered.body.tasks.map(t => t.name)).toEqual(['high', 'urgent']);
     });
   });
 
@@ -295,69 +397,2334 @@ describe('Task Tracker API - Version 1.2 - Enhanced Tests', () => {
     });
   });
 
-  // ==================== DATA PERSISTENCE & STATE MANAGEMENT ====================
-  describe('Data Persistence and State Management', () => {
-    test('Tasks should persist between multiple API calls', async () => {
-      // Create a task
-      await request(app).post('/api/tasks').send({ name: 'Persistent Task', priority: false });
-      
-      // Multiple reads should return same data
-      const response1 = await request(app).get('/api/tasks');
-      const response2 = await request(app).get('/api/tasks');
-      const response3 = await request(app).get('/api/tasks');
-      
-      expect(response1.body.tasks).toHaveLength(1);
-      expect(response2.body.tasks).toHaveLength(1);
-      expect(response3.body.tasks).toHaveLength(1);
-      expect(response1.body.tasks[0].name).toBe('Persistent Task');
+  // ==================== RESTORE & TRASH ====================
+  describe('Restore and Trash', () => {
+    test('POST /api/tasks/:id/restore should bring a deleted task back with its latest state', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Oops', date: '2024-01-01', time: '10:00' });
+      await request(app).patch(`/api/tasks/${created.body.id}`).send({ description: 'Edited before delete' });
+      await request(app).delete(`/api/tasks/${created.body.id}`);
+
+      const response = await request(app).post(`/api/tasks/${created.body.id}/restore`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.ok).toBe(true);
+
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks).toHaveLength(1);
+      expect(tasks[0].id).toBe(created.body.id);
+      expect(tasks[0].name).toBe('Oops');
+      expect(tasks[0].description).toBe('Edited before delete');
+      expect(tasks[0].deletedAt).toBeUndefined();
     });
 
-    test('Multiple task creations should generate unique IDs', async () => {
-      const task1 = await request(app).post('/api/tasks').send({ name: 'Task 1', priority: false });
-      const task2 = await request(app).post('/api/tasks').send({ name: 'Task 2', priority: false });
-      const task3 = await request(app).post('/api/tasks').send({ name: 'Task 3', priority: false });
-      
-      expect(task1.body.id).not.toBe(task2.body.id);
-      expect(task2.body.id).not.toBe(task3.body.id);
-      expect(task1.body.id).not.toBe(task3.body.id);
+    test('POST /api/tasks/:id/restore should return 409 for live tasks and 404 for unknown ones', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Still here' });
+
+      const live = await request(app).post(`/api/tasks/${created.body.id}/restore`);
+      const unknown = await request(app).post('/api/tasks/non-existent-id/restore');
+
+      expect(live.status).toBe(409);
+      expect(unknown.status).toBe(404);
     });
 
-    test('Task list should maintain order based on creation', async () => {
-      const task1 = await request(app).post('/api/tasks').send({ name: 'First Task', priority: false });
-      const task2 = await request(app).post('/api/tasks').send({ name: 'Second Task', priority: false });
-      
+    test('GET /api/tasks/trash should list deleted tasks, newest deletion first', async () => {
+      const t1 = await request(app).post('/api/tasks').send({ name: 'First deleted' });
+      const t2 = await request(app).post('/api/tasks').send({ name: 'Second deleted' });
+      await request(app).post('/api/tasks').send({ name: 'Kept' });
+      await request(app).delete(`/api/tasks/${t1.body.id}`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await request(app).delete(`/api/tasks/${t2.body.id}`);
+
+      const response = await request(app).get('/api/tasks/trash');
+
+      expect(response.status).toBe(200);
+      expect(response.body.tasks.map(t => t.name)).toEqual(['Second deleted', 'First deleted']);
+      expect(response.body.tasks[0].deletedAt).toEqual(expect.any(String));
+    });
+
+    test('Restored tasks should leave the trash', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Round trip' });
+      await request(app).delete(`/api/tasks/${created.body.id}`);
+      await request(app).post(`/api/tasks/${created.body.id}/restore`);
+
+      const response = await request(app).get('/api/tasks/trash');
+      expect(response.body.tasks).toEqual([]);
+    });
+  });
+
+  // ==================== UPDATE OPERATIONS ====================
+  describe('Update Operations', () => {
+    test('PATCH /api/tasks/:id should update fields and keep the same id', async () => {
+      const created = await request(app).post('/api/tasks').send({
+        name: 'Tpyo task',
+        date: '2024-01-01',
+        time: '10:00',
+        description: 'Original'
+      });
+
+      const response = await request(app)
+        .patch(`/api/tasks/${created.body.id}`)
+        .send({ name: '  Typo task  ', description: 'Fixed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ok).toBe(true);
+      expect(response.body.task.id).toBe(created.body.id);
+
       const tasksResponse = await request(app).get('/api/tasks');
-      expect(tasksResponse.body.tasks).toHaveLength(2);
-      // Tasks should be in creation order (oldest first based on your readProjection logic)
+      expect(tasksResponse.body.tasks).toHaveLength(1);
+      const task = tasksResponse.body.tasks[0];
+      expect(task.id).toBe(created.body.id);
+      expect(task.name).toBe('Typo task');
+      expect(task.description).toBe('Fixed');
+      expect(task.date).toBe('2024-01-01');
+      expect(task.time).toBe('10:00');
+      expect(task.updatedAt).toMatch(/\d{4}-\d{2}-\d{2}T/);
+    });
+
+    test('PATCH /api/tasks/:id should append an update event with only changed fields', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Task', description: 'Same' });
+
+      await request(app)
+        .patch(`/api/tasks/${created.body.id}`)
+        .send({ name: 'Renamed', description: 'Same' });
+
+      const lines = fs.readFileSync(TEST_EVENT_FILE, 'utf-8').split('\n').filter(Boolean);
+      expect(lines).toHaveLength(2);
+      const evt = JSON.parse(lines[1]);
+      expect(evt).toEqual({
+        type: 'update',
+        id: created.body.id,
+        name: 'Renamed',
+        updatedAt: expect.any(String),
+        boardId: 'default',
+        actor: 'u_test1',
+        seq: 2,
+        checksum: expect.any(String)
+      });
+    });
+
+    test('PATCH /api/tasks/:id changing priority should keep date and time', async () => {
+      const created = await request(app).post('/api/tasks').send({
+        name: 'Dated', date: '2024-01-01', time: '10:00'
+      });
+
+      await request(app).patch(`/api/tasks/${created.body.id}`).send({ priority: 'high' });
+
+      const task = (await request(app).get('/api/tasks')).body.tasks[0];
+      expect(task.priority).toBe('high');
+      expect(task.date).toBe('2024-01-01');
+      expect(task.time).toBe('10:00');
+    });
+
+    test('PATCH /api/tasks/:id should set date/time on an urgent task', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Urgent', priority: 'urgent' });
+
+      await request(app).patch(`/api/tasks/${created.body.id}`).send({ date: '2024-01-01', time: '10:00' });
+
+      const task = (await request(app).get('/api/tasks')).body.tasks[0];
+      expect(task.date).toBe('2024-01-01');
+      expect(task.time).toBe('10:00');
+    });
+
+    test('PATCH /api/tasks/:id should reject an empty name', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Task' });
+
+      const response = await request(app).patch(`/api/tasks/${created.body.id}`).send({ name: '   ' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.ok).toBe(false);
+      expect(response.body.error).toBe('Name is required.');
+    });
+
+    test('PATCH /api/tasks/:id should return 404 for unknown or deleted tasks', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Task' });
+      await request(app).delete(`/api/tasks/${created.body.id}`);
+
+      const deleted = await request(app).patch(`/api/tasks/${created.body.id}`).send({ name: 'Back' });
+      const unknown = await request(app).patch('/api/tasks/non-existent-id').send({ name: 'Nope' });
+
+      expect(deleted.status).toBe(404);
+      expect(unknown.status).toBe(404);
+      expect(unknown.body.ok).toBe(false);
     });
   });
 
-  // ==================== FRONTEND & STATIC FILES ====================
-  describe('Frontend and Static File Serving', () => {
-    test('GET / should serve index.html with correct content', async () => {
-      const response = await request(app).get('/');
-      
+  // ==================== COMPLETION LIFECYCLE ====================
+  describe('Completion Lifecycle', () => {
+    test('New tasks should start open with no completedAt', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Fresh task' });
+
+      const task = (await request(app).get('/api/tasks')).body.tasks[0];
+      expect(task.status).toBe('open');
+      expect(task.completedAt).toBeNull();
+    });
+
+    test('POST /api/tasks/:id/complete should mark the task completed and keep it in the projection', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Finish me' });
+
+      const response = await request(app).post(`/api/tasks/${created.body.id}/complete`);
+
       expect(response.status).toBe(200);
-      expect(response.headers['content-type']).toContain('text/html');
-      expect(response.text).toContain('Task Tracker v1.2');
-      expect(response.text).toContain('Create Task');
-      expect(response.text).toContain('Dashboard');
+      expect(response.body.ok).toBe(true);
+      expect(response.body.task.status).toBe('completed');
+
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks).toHaveLength(1);
+      expect(tasks[0].status).toBe('completed');
+      expect(new Date(tasks[0].completedAt).toISOString()).toBe(tasks[0].completedAt);
     });
 
-    test('GET /styles.css should serve CSS with correct headers', async () => {
-      const response = await request(app).get('/styles.css');
-      
+    test('POST /api/tasks/:id/reopen should return a completed task to open', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Not quite done' });
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+
+      const response = await request(app).post(`/api/tasks/${created.body.id}/reopen`);
+
       expect(response.status).toBe(200);
-      expect(response.headers['content-type']).toContain('text/css');
-      expect(response.text).toContain('var(--bg)'); // Check for CSS variables
+      const task = (await request(app).get('/api/tasks')).body.tasks[0];
+      expect(task.status).toBe('open');
+      expect(task.completedAt).toBeNull();
     });
 
-    test('GET /main.js should serve JavaScript with correct headers', async () => {
-      const response = await request(app).get('/main.js');
-      
+    test('Completing an already completed task should not append another event', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Once' });
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+
+      const lines = fs.readFileSync(TEST_EVENT_FILE, 'utf-8').split('\n').filter(Boolean);
+      expect(lines.map(l => JSON.parse(l).type)).toEqual(['create', 'complete']);
+    });
+
+    test('Complete and reopen should return 404 for unknown tasks', async () => {
+      const complete = await request(app).post('/api/tasks/non-existent-id/complete');
+      const reopen = await request(app).post('/api/tasks/non-existent-id/reopen');
+
+      expect(complete.status).toBe(404);
+      expect(reopen.status).toBe(404);
+    });
+
+    test('GET /metrics should report open vs. completed counts', async () => {
+      const t1 = await request(app).post('/api/tasks').send({ name: 'Task 1' });
+      await request(app).post('/api/tasks').send({ name: 'Task 2' });
+      await request(app).post(`/api/tasks/${t1.body.id}/complete`);
+
+      const response = await request(app).get('/metrics');
+      expect(response.body.total_tasks).toBe(2);
+      expect(response.body.open_tasks).toBe(1);
+      expect(response.body.completed_tasks).toBe(1);
+    });
+  });
+
+  // ==================== EVENT HISTORY & POINT-IN-TIME ====================
+  describe('Event History and Point-in-Time Projection', () => {
+    function writeEvents(events) {
+      fs.writeFileSync(TEST_EVENT_FILE, events.map(e => JSON.stringify(e)).join('\n') + '\n');
+    }
+
+    test('GET /api/events should page through the log in append order', async () => {
+      for (let i = 0; i < 5; i++) {
+        await request(app).post('/api/tasks').send({ name: `Task ${i}` });
+      }
+
+      const response = await request(app).get('/api/events?limit=2&offset=1');
+
       expect(response.status).toBe(200);
-      expect(response.headers['content-type']).toContain('javascript');
-      expect(response.text).toContain('function'); // Check for JS code
+      expect(response.body.ok).toBe(true);
+      expect(response.body.total).toBe(5);
+      expect(response.body.events).toHaveLength(2);
+      expect(response.body.events.map(e => e.name)).toEqual(['Task 1', 'Task 2']);
+      expect(response.body.events.map(e => e.seq)).toEqual([2, 3]);
+    });
+
+    test('GET /api/events should filter by task id and event type', async () => {
+      const t1 = await request(app).post('/api/tasks').send({ name: 'Task 1' });
+      await request(app).post('/api/tasks').send({ name: 'Task 2' });
+      await request(app).delete(`/api/tasks/${t1.body.id}`);
+
+      const byTask = await request(app).get(`/api/events?taskId=${t1.body.id}`);
+      expect(byTask.body.events.map(e => e.type)).toEqual(['create', 'delete']);
+
+      const byType = await request(app).get('/api/events?type=create');
+      expect(byType.body.total).toBe(2);
+    });
+
+    test('GET /api/tasks/:id/history should list every event for a task, even after delete', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Audited' });
+      await request(app).patch(`/api/tasks/${created.body.id}`).send({ name: 'Audited v2' });
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+      await request(app).delete(`/api/tasks/${created.body.id}`);
+
+      const response = await request(app).get(`/api/tasks/${created.body.id}/history`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe(created.body.id);
+      expect(response.body.events.map(e => e.type)).toEqual(['create', 'update', 'complete', 'delete']);
+    });
+
+    test('GET /api/tasks/:id/history should return 404 for unknown tasks', async () => {
+      const response = await request(app).get('/api/tasks/non-existent-id/history');
+      expect(response.status).toBe(404);
+    });
+
+    test('GET /api/tasks?asOf should replay only events up to that moment', async () => {
+      writeEvents([
+        { type: 'create', id: 't_a', name: 'A', createdAt: '2024-01-01T09:00:00.000Z' },
+        { type: 'create', id: 't_b', name: 'B', createdAt: '2024-01-02T09:00:00.000Z' },
+        { type: 'update', id: 't_a', name: 'A renamed', updatedAt: '2024-01-03T09:00:00.000Z' },
+        { type: 'delete', id: 't_b', deletedAt: '2024-01-04T09:00:00.000Z' }
+      ]);
+
+      const day1 = await request(app).get('/api/tasks?asOf=2024-01-01T12:00:00.000Z');
+      expect(day1.body.tasks.map(t => t.name)).toEqual(['A']);
+
+      const day3 = await request(app).get('/api/tasks?asOf=2024-01-03T12:00:00.000Z');
+      expect(day3.body.tasks.map(t => t.name)).toEqual(['A renamed', 'B']);
+
+      const now = await request(app).get('/api/tasks');
+      expect(now.body.tasks.map(t => t.name)).toEqual(['A renamed']);
+    });
+
+    test('GET /api/tasks?asOf should include events written after later-stamped ones', async () => {
+      writeEvents([
+        { type: 'create', id: 't_a', name: 'A', createdAt: '2024-01-01T09:00:00.000Z' },
+        { type: 'create', id: 't_b', name: 'B', createdAt: '2024-01-02T10:00:00.000Z' },
+        // Stamped before B's create, but it waited longer for the write lock
+        { type: 'update', id: 't_a', name: 'A renamed', updatedAt: '2024-01-02T09:00:00.000Z' }
+      ]);
+
+      const response = await request(app).get('/api/tasks?asOf=2024-01-02T09:30:00.000Z');
+      expect(response.body.tasks.map(t => t.name)).toEqual(['A renamed']);
+    });
+
+    test('GET /api/tasks?asOf should reject invalid timestamps', async () => {
+      const response = await request(app).get('/api/tasks?asOf=yesterday');
+
+      expect(response.status).toBe(400);
+      expect(response.body.ok).toBe(false);
+    });
+  });
+
+  // ==================== RECURRING TASKS ====================
+  describe('Recurring Tasks', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    async function getTasks() {
+      return (await request(app).get('/api/tasks')).body.tasks;
+    }
+
+    test('POST /api/tasks should store a normalised recurrence rule', async () => {
+      const created = await request(app).post('/api/tasks').send({
+        name: 'Deploy check',
+        date: localDateTime(Date.now() + DAY).date,
+        time: '09:00',
+        recurrence: 'FREQ=WEEKLY;INTERVAL=2'
+      });
+      expect(created.status).toBe(201);
+
+      const [task] = await getTasks();
+      expect(task.recurrence).toEqual({ freq: 'weekly', interval: 2 });
+      expect(task.seriesId).toBe(created.body.id);
+      expect(task.occurrence).toBe(1);
+    });
+
+    test('Invalid recurrence should be rejected', async () => {
+      const date = localDateTime(Date.now() + DAY).date;
+      const bad = await request(app).post('/api/tasks').send({ name: 'Bad', date, recurrence: 'hourly' });
+      const noDate = await request(app).post('/api/tasks').send({ name: 'No date', recurrence: 'daily' });
+
+      expect(bad.status).toBe(400);
+      expect(noDate.status).toBe(400);
+      expect(await getTasks()).toHaveLength(0);
+    });
+
+    test('PATCH should not clear the date of a recurring task', async () => {
+      const date = localDateTime(Date.now() + DAY).date;
+      const created = await request(app).post('/api/tasks').send({ name: 'Standup', date, recurrence: 'daily' });
+
+      const response = await request(app).patch(`/api/tasks/${created.body.id}`).send({ date: '' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([{ field: 'date', message: 'Recurring tasks need a date.' }]);
+      expect((await getTasks())[0].date).toBe(date);
+    });
+
+    test('runRecurrences should skip a task that fails and roll over the rest', async () => {
+      const yesterday = localDateTime(Date.now() - DAY).date;
+      fs.writeFileSync(TEST_EVENT_FILE, [
+        { type: 'create', id: 't_broken', name: 'Broken', date: '', recurrence: { freq: 'daily', interval: 1 }, createdAt: new Date().toISOString() },
+        { type: 'create', id: 't_fine', name: 'Fine', date: yesterday, recurrence: { freq: 'daily', interval: 1 }, createdAt: new Date().toISOString() }
+      ].map(e => JSON.stringify(e)).join('\n') + '\n');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        expect(app.runRecurrences()).toHaveLength(1);
+        expect(console.error).toHaveBeenCalledWith('Recurrence for task t_broken failed:', expect.any(RangeError));
+      } finally {
+        console.error.mockRestore();
+      }
+    });
+
+    test('Urgent recurring tasks should pass their level on to the next occurrence', async () => {
+      const date = localDateTime(Date.now() + DAY).date;
+      const created = await request(app).post('/api/tasks').send({ name: 'On call', date, priority: 'urgent', recurrence: 'daily' });
+      expect(created.status).toBe(201);
+
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+      const next = (await getTasks()).find(t => t.id !== created.body.id);
+      expect(next.priority).toBe('urgent');
+    });
+
+    test('Completing an occurrence should create the next one', async () => {
+      const date = localDateTime(Date.now() + DAY).date;
+      const created = await request(app).post('/api/tasks').send({
+        name: 'Monthly report', date, time: '10:00', description: 'Numbers', recurrence: 'monthly'
+      });
+
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+      const tasks = await getTasks();
+      const first = tasks.find(t => t.id === created.body.id);
+      const next = tasks.find(t => t.id !== created.body.id);
+
+      expect(first.nextId).toBe(next.id);
+      expect(next).toMatchObject({
+        name: 'Monthly report',
+        time: '10:00',
+        description: 'Numbers',
+        status: 'open',
+        seriesId: created.body.id,
+        occurrence: 2
+      });
+      expect(next.date > date).toBe(true);
+
+      // Completing it again (or reopening and completing) doesn't add more
+      await request(app).post(`/api/tasks/${created.body.id}/reopen`);
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+      expect(await getTasks()).toHaveLength(2);
+    });
+
+    test('An occurrence that passes its due time should roll over once', async () => {
+      const yesterday = localDateTime(Date.now() - DAY).date;
+      const created = await request(app).post('/api/tasks').send({
+        name: 'Standup', date: yesterday, time: '09:00', recurrence: 'daily'
+      });
+
+      const spawned = app.runRecurrences();
+      expect(app.runRecurrences()).toEqual([]);
+
+      expect(spawned).toHaveLength(1);
+      const tasks = await getTasks();
+      expect(tasks).toHaveLength(2);
+      // The overdue one stays open until someone deals with it
+      expect(tasks.find(t => t.id === created.body.id).status).toBe('open');
+      expect(tasks.find(t => t.id === spawned[0]).date >= localDateTime(Date.now()).date).toBe(true);
+    });
+
+    test('A series left alone should skip the dates it missed', async () => {
+      const created = await request(app).post('/api/tasks').send({
+        name: 'Water plants', date: localDateTime(Date.now() - 10 * DAY).date, time: '08:00', recurrence: 'daily'
+      });
+
+      const [nextId] = app.runRecurrences();
+      const next = (await getTasks()).find(t => t.id === nextId);
+
+      expect(next.date >= localDateTime(Date.now()).date).toBe(true);
+      expect(next.occurrence).toBeGreaterThan(10);
+      expect(next.seriesId).toBe(created.body.id);
+    });
+
+    test('A series should end after COUNT occurrences', async () => {
+      const created = await request(app).post('/api/tasks').send({
+        name: 'Twice', date: localDateTime(Date.now() + DAY).date, time: '12:00', recurrence: { freq: 'weekly', count: 2 }
+      });
+
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+      const second = (await getTasks()).find(t => t.id !== created.body.id);
+      await request(app).post(`/api/tasks/${second.id}/complete`);
+
+      expect(await getTasks()).toHaveLength(2);
+      expect(second.upcoming).toEqual([]);
+    });
+
+    test('GET /api/tasks should list upcoming dates for the latest occurrence', async () => {
+      // Noon, so stepping whole days can't cross midnight around DST changes
+      const start = new Date().setHours(12, 0, 0, 0) + DAY;
+      await request(app).post('/api/tasks').send({
+        name: 'Weekly sync', date: localDateTime(start).date, time: '15:00', recurrence: 'weekly'
+      });
+
+      const [task] = await getTasks();
+      expect(task.upcoming.map(o => o.date)).toEqual([1, 2, 3].map(k => localDateTime(start + k * 7 * DAY).date));
+      // No timezone sent, so the server's (here: the test process's) zone applies
+      const due = new Date(task.upcoming[0].dueAt);
+      expect(localDateTime(due.getTime()).date).toBe(task.upcoming[0].date);
+      expect(due.getHours()).toBe(15);
+    });
+  });
+
+  // ==================== TIME ZONES ====================
+  describe('Time Zones', () => {
+    afterEach(() => {
+      delete process.env.DEFAULT_TIMEZONE;
+    });
+
+    async function createAndGet({ name, ...body }) {
+      const id = await createTask(app, name, body);
+      return (await request(app).get(`/api/tasks/${id}`)).body.task;
+    }
+
+    test('Tasks should store their time zone and expose a UTC dueAt', async () => {
+      const berlin = await createAndGet({ name: 'Berlin', date: '2026-07-01', time: '09:00', timezone: 'Europe/Berlin' });
+      const newYork = await createAndGet({ name: 'New York', date: '2026-07-01', time: '09:00', timezone: 'America/New_York' });
+
+      expect(berlin.timezone).toBe('Europe/Berlin');
+      expect(berlin.dueAt).toBe('2026-07-01T07:00:00.000Z');
+      expect(newYork.dueAt).toBe('2026-07-01T13:00:00.000Z');
+    });
+
+    test('Tasks without a time zone should get the server default', async () => {
+      process.env.DEFAULT_TIMEZONE = 'Asia/Tokyo';
+      const task = await createAndGet({ name: 'Tokyo', date: '2026-01-15', time: '18:30' });
+
+      expect(task.timezone).toBe('Asia/Tokyo');
+      expect(task.dueAt).toBe('2026-01-15T09:30:00.000Z');
+    });
+
+    test('Tasks without a date and time should have no dueAt', async () => {
+      const undated = await createAndGet({ name: 'Whenever', timezone: 'Europe/Berlin' });
+      const dateOnly = await createAndGet({ name: 'Someday', date: '2026-01-01', timezone: 'UTC' });
+
+      expect(undated.dueAt).toBeNull();
+      expect(dateOnly.dueAt).toBeNull();
+    });
+
+    test('Urgent tasks should have a dueAt like any other', async () => {
+      const urgent = await createAndGet({ name: 'Now', priority: 'urgent', date: '2026-01-01', time: '10:00', timezone: 'UTC' });
+      expect(urgent.dueAt).toBe('2026-01-01T10:00:00.000Z');
+    });
+
+    test('Invalid time zones should be rejected', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Nowhere', timezone: 'Mars/Olympus_Mons' });
+      expect(created.status).toBe(400);
+
+      const task = await createAndGet({ name: 'Somewhere', timezone: 'UTC' });
+      const patched = await request(app).patch(`/api/tasks/${task.id}`).send({ timezone: 'Not/AZone' });
+      expect(patched.status).toBe(400);
+    });
+
+    test('Changing the time or time zone should recompute dueAt', async () => {
+      const task = await createAndGet({ name: 'Moving', date: '2026-03-01', time: '12:00', timezone: 'UTC' });
+
+      const moved = await request(app).patch(`/api/tasks/${task.id}`).send({ timezone: 'Asia/Kolkata' });
+      expect(moved.body.task.dueAt).toBe('2026-03-01T06:30:00.000Z');
+
+      const later = await request(app).patch(`/api/tasks/${task.id}`).send({ time: '13:00' });
+      expect(later.body.task.dueAt).toBe('2026-03-01T07:30:00.000Z');
+    });
+
+    test('Tasks created before time zones should use the default zone', async () => {
+      process.env.DEFAULT_TIMEZONE = 'America/New_York';
+      fs.appendFileSync(TEST_EVENT_FILE, JSON.stringify({
+        type: 'create', id: 'legacy', name: 'Old task', date: '2026-12-01', time: '08:00', priority: false
+      }) + '\n');
+
+      const [task] = (await request(app).get('/api/tasks')).body.tasks;
+      expect(task.timezone).toBeNull();
+      expect(task.dueAt).toBe('2026-12-01T13:00:00.000Z');
+    });
+
+    test('Reminders should fire at the task\'s dueAt', async () => {
+      const task = await createAndGet({ name: 'Call Auckland', date: '2026-06-10', time: '08:00', timezone: 'Pacific/Auckland' });
+      const dueTs = Date.parse(task.dueAt);
+
+      expect(task.dueAt).toBe('2026-06-09T20:00:00.000Z');
+      expect(await app.runReminders(dueTs - 1000)).toHaveLength(0);
+      expect(await app.runReminders(dueTs)).toHaveLength(1);
+    });
+  });
+
+  // ==================== SEARCH, FILTERS & PAGING ====================
+  describe('Task Queries', () => {
+    async function seed() {
+      const tasks = [
+        { name: 'Deploy hotfix', description: 'Roll out the login fix', date: '2026-05-03', time: '09:00', timezone: 'UTC' },
+        { name: 'Write report', description: 'Quarterly numbers', date: '2026-05-01', time: '12:00', timezone: 'UTC' },
+        { name: 'Call the bank', priority: 'urgent' },
+        { name: 'alpha review', description: 'Check the hotfix rollout', date: '2026-06-10', time: '08:00', timezone: 'UTC' }
+      ];
+      for (const task of tasks) await request(app).post('/api/tasks').send(task);
+    }
+
+    const names = res => res.body.tasks.map(task => task.name);
+
+    test('q should match every word against name and description', async () => {
+      await seed();
+      expect(names(await request(app).get('/api/tasks?q=HOTFIX'))).toEqual(['Deploy hotfix', 'alpha review']);
+      expect(names(await request(app).get('/api/tasks?q=hotfix%20login'))).toEqual(['Deploy hotfix']);
+      expect((await request(app).get('/api/tasks?q=nothing')).body).toMatchObject({ tasks: [], total: 0 });
+    });
+
+    test('Tasks should filter by priority, status and date range', async () => {
+      await seed();
+      expect(names(await request(app).get('/api/tasks?priority=urgent'))).toEqual(['Call the bank']);
+      expect(names(await request(app).get('/api/tasks?dateFrom=2026-05-02&dateTo=2026-05-31'))).toEqual(['Deploy hotfix']);
+
+      const report = (await request(app).get('/api/tasks?q=report')).body.tasks[0];
+      await request(app).post(`/api/tasks/${report.id}/complete`);
+      expect(names(await request(app).get('/api/tasks?status=completed'))).toEqual(['Write report']);
+      expect(await request(app).get('/api/tasks?status=open')).toHaveProperty('body.total', 3);
+    });
+
+    test('dueBefore and dueAfter should compare against dueAt', async () => {
+      await seed();
+      const res = await request(app).get('/api/tasks?dueAfter=2026-05-01T12:00:00Z&dueBefore=2026-07-01T00:00:00Z');
+      expect(names(res)).toEqual(['Deploy hotfix', 'alpha review']);
+    });
+
+    test('Tasks should sort by a field in either direction, missing values last', async () => {
+      await seed();
+      expect(names(await request(app).get('/api/tasks?sort=name'))).toEqual([
+        'alpha review', 'Call the bank', 'Deploy hotfix', 'Write report'
+      ]);
+      expect(names(await request(app).get('/api/tasks?sort=dueAt&order=desc'))).toEqual([
+        'alpha review', 'Deploy hotfix', 'Write report', 'Call the bank'
+      ]);
+    });
+
+    test('Cursor pagination should walk every match exactly once', async () => {
+      await seed();
+      const seen = [];
+      let cursor = null;
+      let pages = 0;
+      do {
+        const query = `sort=date&limit=2${cursor ? `&cursor=${cursor}` : ''}`;
+        const res = await request(app).get(`/api/tasks?${query}`);
+        expect(res.status).toBe(200);
+        expect(res.body.total).toBe(4);
+        seen.push(...names(res));
+        cursor = res.body.nextCursor;
+        pages++;
+      } while (cursor);
+
+      expect(pages).toBe(2);
+      expect(seen).toEqual(['Write report', 'Deploy hotfix', 'alpha review', 'Call the bank']);
+    });
+
+    test('Pages should not shift when tasks are added before the cursor', async () => {
+      await seed();
+      const first = await request(app).get('/api/tasks?sort=name&limit=2');
+      await request(app).post('/api/tasks').send({ name: 'Aardvark' });
+
+      const second = await request(app).get(`/api/tasks?sort=name&limit=2&cursor=${first.body.nextCursor}`);
+      expect(names(second)).toEqual(['Deploy hotfix', 'Write report']);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    test('Invalid query parameters should be rejected with per-parameter errors', async () => {
+      await seed();
+      const res = await request(app).get('/api/tasks?priority=maybe&sort=color&limit=0&dateFrom=May');
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(e => e.field)).toEqual(['priority', 'dateFrom', 'sort', 'limit']);
+
+      const page = await request(app).get('/api/tasks?sort=name&limit=1');
+      const mismatched = await request(app).get(`/api/tasks?sort=date&cursor=${page.body.nextCursor}`);
+      expect(mismatched.status).toBe(400);
+      expect((await request(app).get('/api/tasks?cursor=not-a-cursor')).status).toBe(400);
+    });
+
+    test('The ETag should change when the filtered result changes', async () => {
+      await seed();
+      const first = await request(app).get('/api/tasks?q=hotfix');
+      const unchanged = await request(app).get('/api/tasks?q=hotfix').set('If-None-Match', first.headers.etag);
+      expect(unchanged.status).toBe(304);
+
+      await request(app).post('/api/tasks').send({ name: 'Another hotfix' });
+      const changed = await request(app).get('/api/tasks?q=hotfix').set('If-None-Match', first.headers.etag);
+      expect(changed.status).toBe(200);
+      expect(changed.body.total).toBe(3);
+    });
+  });
+
+  // ==================== TAGS ====================
+  describe('Tags', () => {
+    test('Tags should be stored on create and changed by PATCH', async () => {
+      const id = await createTask(app, 'Groceries', { tags: ['Errands', 'home'] });
+      expect((await request(app).get(`/api/tasks/${id}`)).body.task.tags).toEqual(['errands', 'home']);
+
+      const patched = await request(app).patch(`/api/tasks/${id}`).send({ tags: ['home'] });
+      expect(patched.body.task.tags).toEqual(['home']);
+
+      const events = (await request(app).get(`/api/tasks/${id}/history`)).body.events;
+      expect(events[events.length - 1]).toMatchObject({ type: 'update', tags: ['home'] });
+    });
+
+    test('PATCH with the same tags should not append an event', async () => {
+      const id = await createTask(app, 'Same', { tags: ['a', 'b'] });
+      const res = await request(app).patch(`/api/tasks/${id}`).send({ tags: ['A', 'b'] });
+      expect(res.body.task.version).toBe(1);
+    });
+
+    test('Tasks without tags should have an empty list', async () => {
+      const id = await createTask(app, 'Plain');
+      expect((await request(app).get(`/api/tasks/${id}`)).body.task.tags).toEqual([]);
+    });
+
+    test('GET /api/tags should count tags on live tasks', async () => {
+      await createTask(app, 'One', { tags: ['work', 'urgent'] });
+      const done = await createTask(app, 'Two', { tags: ['work'] });
+      const gone = await createTask(app, 'Three', { tags: ['old'] });
+      await request(app).post(`/api/tasks/${done}/complete`);
+      await request(app).delete(`/api/tasks/${gone}`);
+
+      const res = await request(app).get('/api/tags');
+      expect(res.body).toEqual({
+        ok: true,
+        tags: [
+          { name: 'work', count: 2, open: 1 },
+          { name: 'urgent', count: 1, open: 1 }
+        ]
+      });
+    });
+
+    test('GET /api/tasks?tag= should return tasks carrying every listed tag', async () => {
+      await createTask(app, 'Both', { tags: ['work', 'urgent'] });
+      await createTask(app, 'Work only', { tags: ['work'] });
+      await createTask(app, 'None');
+
+      const work = await request(app).get('/api/tasks?tag=Work');
+      expect(work.body.tasks.map(t => t.name)).toEqual(['Both', 'Work only']);
+      const both = await request(app).get('/api/tasks?tag=work,urgent');
+      expect(both.body.tasks.map(t => t.name)).toEqual(['Both']);
+    });
+
+    test('/metrics should report tag counts', async () => {
+      await createTask(app, 'One', { tags: ['work'] });
+      await createTask(app, 'Two', { tags: ['work', 'home'] });
+      await createTask(app, 'Three');
+
+      const res = await request(app).get('/metrics');
+      expect(res.body.tagged_tasks).toBe(2);
+      expect(res.body.tag_counts).toEqual({ work: 2, home: 1 });
+    });
+
+    test('Invalid tags should be rejected', async () => {
+      const res = await request(app).post('/api/tasks').send({ name: 'Bad', tags: 'work' });
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([{ field: 'tags', message: 'Tags must be a list.' }]);
+    });
+  });
+
+  // ==================== CHECKLISTS ====================
+  describe('Checklists', () => {
+    function addItem(id, text) {
+      return request(app).post(`/api/tasks/${id}/checklist`).send({ text });
+    }
+
+    test('Items should be added, toggled and removed as events', async () => {
+      const id = await createTask(app, 'Release');
+      const added = await addItem(id, '  Write notes ');
+      expect(added.status).toBe(201);
+      expect(added.body.item).toEqual({ id: expect.stringMatching(/^i_/), text: 'Write notes', done: false });
+
+      const itemId = added.body.item.id;
+      const toggled = await request(app).post(`/api/tasks/${id}/checklist/${itemId}/toggle`);
+      expect(toggled.body.item.done).toBe(true);
+      const unchecked = await request(app).post(`/api/tasks/${id}/checklist/${itemId}/toggle`).send({ done: false });
+      expect(unchecked.body.item.done).toBe(false);
+
+      const removed = await request(app).delete(`/api/tasks/${id}/checklist/${itemId}`);
+      expect(removed.body.task.checklist).toEqual([]);
+
+      const events = (await request(app).get(`/api/tasks/${id}/history`)).body.events;
+      expect(events.map(evt => evt.type)).toEqual([
+        'create', 'checklist_add', 'checklist_toggle', 'checklist_toggle', 'checklist_remove'
+      ]);
+      expect(removed.body.task.version).toBe(5);
+    });
+
+    test('Checklist changes should honor If-Match', async () => {
+      const id = await createTask(app, 'Release');
+      const res = await request(app).post(`/api/tasks/${id}/checklist`).set('If-Match', '"v9"').send({ text: 'Late' });
+      expect(res.status).toBe(412);
+    });
+
+    test('Invalid items and unknown ids should be rejected', async () => {
+      const id = await createTask(app, 'Release');
+      expect((await addItem(id, '   ')).status).toBe(400);
+      expect((await addItem('missing', 'Text')).status).toBe(404);
+
+      const item = (await addItem(id, 'Real')).body.item;
+      const badDone = await request(app).post(`/api/tasks/${id}/checklist/${item.id}/toggle`).send({ done: 'yes' });
+      expect(badDone.status).toBe(400);
+      expect((await request(app).post(`/api/tasks/${id}/checklist/i_missing/toggle`)).status).toBe(404);
+      expect((await request(app).delete(`/api/tasks/${id}/checklist/i_missing`)).status).toBe(404);
+    });
+
+    test('Checking the last item should complete a task with autoComplete', async () => {
+      const id = await createTask(app, 'Release', { autoComplete: true });
+      const first = (await addItem(id, 'One')).body.item;
+      const second = (await addItem(id, 'Two')).body.item;
+
+      const partly = await request(app).post(`/api/tasks/${id}/checklist/${first.id}/toggle`);
+      expect(partly.body.task.status).toBe('open');
+
+      const done = await request(app).post(`/api/tasks/${id}/checklist/${second.id}/toggle`);
+      expect(done.body.task.status).toBe('completed');
+      const events = (await request(app).get(`/api/tasks/${id}/history`)).body.events;
+      expect(events[events.length - 1]).toMatchObject({ type: 'complete', auto: true });
+    });
+
+    test('Tasks without autoComplete should stay open when every item is checked', async () => {
+      const id = await createTask(app, 'Release');
+      const item = (await addItem(id, 'Only')).body.item;
+      const res = await request(app).post(`/api/tasks/${id}/checklist/${item.id}/toggle`);
+      expect(res.body.task.status).toBe('open');
+
+      const turnedOn = await request(app).patch(`/api/tasks/${id}`).send({ autoComplete: true });
+      expect(turnedOn.body.task.autoComplete).toBe(true);
+    });
+
+    test('Removing the last unchecked item should trigger autoComplete', async () => {
+      const id = await createTask(app, 'Release', { autoComplete: true });
+      const checked = (await addItem(id, 'Checked')).body.item;
+      const pending = (await addItem(id, 'Dropped')).body.item;
+      await request(app).post(`/api/tasks/${id}/checklist/${checked.id}/toggle`);
+
+      const res = await request(app).delete(`/api/tasks/${id}/checklist/${pending.id}`);
+      expect(res.body.task.status).toBe('completed');
+    });
+
+    test('The next occurrence of a recurring task should get the checklist unchecked', async () => {
+      const date = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const id = await createTask(app, 'Release', { date, recurrence: 'weekly', autoComplete: true });
+      const item = (await addItem(id, 'Water plants')).body.item;
+      await request(app).post(`/api/tasks/${id}/checklist/${item.id}/toggle`);
+
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      const next = tasks.find(task => task.id !== id);
+      expect(next.checklist).toEqual([{ id: expect.stringMatching(/^i_/), text: 'Water plants', done: false }]);
+      expect(next.checklist[0].id).not.toBe(item.id);
+      expect(next.autoComplete).toBe(true);
+    });
+  });
+
+  // ==================== DEPENDENCIES ====================
+  describe('Task Dependencies', () => {
+    const getTask = async id => (await request(app).get(`/api/tasks/${id}`)).body.task;
+
+    test('A task should be blocked until its blockers are done', async () => {
+      const design = await createTask(app, 'Design');
+      const build = await createTask(app, 'Build', { blockedBy: [design] });
+
+      expect(await getTask(build)).toMatchObject({
+        blockedBy: [design],
+        blocked: true,
+        blockers: [{ id: design, name: 'Design' }]
+      });
+
+      await request(app).post(`/api/tasks/${design}/complete`);
+      expect(await getTask(build)).toMatchObject({ blocked: false, blockers: [] });
+    });
+
+    test('Deleted blockers should not block', async () => {
+      const blocker = await createTask(app, 'Blocker');
+      const waiting = await createTask(app, 'Waiting', { blockedBy: [blocker] });
+      await request(app).delete(`/api/tasks/${blocker}`);
+
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks.find(task => task.id === waiting).blocked).toBe(false);
+    });
+
+    test('Unknown ids and self-links should be rejected', async () => {
+      const res = await request(app).post('/api/tasks').send({ name: 'Orphan', blockedBy: ['t_missing'] });
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([{ field: 'blockedBy', message: 'Task t_missing does not exist.' }]);
+
+      const id = await createTask(app, 'Self');
+      const self = await request(app).patch(`/api/tasks/${id}`).send({ blockedBy: [id] });
+      expect(self.status).toBe(400);
+      expect(self.body.error).toBe('A task cannot be blocked by itself.');
+    });
+
+    test('Links that would form a cycle should be rejected', async () => {
+      const a = await createTask(app, 'A');
+      const b = await createTask(app, 'B', { blockedBy: [a] });
+      const c = await createTask(app, 'C', { blockedBy: [b] });
+
+      const res = await request(app).patch(`/api/tasks/${a}`).send({ blockedBy: [c] });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('These dependencies would form a cycle.');
+      expect((await getTask(a)).blockedBy).toEqual([]);
+    });
+
+    test('A cycle through a deleted task should be rejected', async () => {
+      const a = await createTask(app, 'A');
+      const b = await createTask(app, 'B', { blockedBy: [a] });
+      const c = await createTask(app, 'C', { blockedBy: [b] });
+      await request(app).delete(`/api/tasks/${b}`);
+
+      const res = await request(app).patch(`/api/tasks/${a}`).send({ blockedBy: [c] });
+      expect(res.status).toBe(400);
+    });
+
+    test('Editing other blockers should keep a link to a deleted task', async () => {
+      const gone = await createTask(app, 'Gone');
+      const other = await createTask(app, 'Other');
+      const waiting = await createTask(app, 'Waiting', { blockedBy: [gone] });
+      await request(app).delete(`/api/tasks/${gone}`);
+
+      const res = await request(app).patch(`/api/tasks/${waiting}`).send({ blockedBy: [gone, other] });
+      expect(res.status).toBe(200);
+      expect(res.body.task).toMatchObject({ blocked: true, blockers: [{ id: other, name: 'Other' }] });
+    });
+
+    test('The list ETag should change when a blocker is completed', async () => {
+      const blocker = await createTask(app, 'Blocker');
+      await createTask(app, 'Waiting', { blockedBy: [blocker] });
+      // Only the waiting task is listed, and its version doesn't change
+      const first = await request(app).get('/api/tasks?q=waiting');
+
+      await request(app).post(`/api/tasks/${blocker}/complete`);
+      const again = await request(app).get('/api/tasks?q=waiting').set('If-None-Match', first.headers.etag);
+      expect(again.status).toBe(200);
+      expect(again.body.tasks[0]).toMatchObject({ version: 1, blocked: false });
+    });
+
+    test('GET /api/dependencies should return the linked tasks and their edges', async () => {
+      const a = await createTask(app, 'A');
+      const b = await createTask(app, 'B', { blockedBy: [a] });
+      const c = await createTask(app, 'C', { blockedBy: [a, b] });
+      await createTask(app, 'Loner');
+
+      const res = await request(app).get('/api/dependencies');
+      expect(res.body.nodes).toEqual([
+        { id: a, name: 'A', status: 'open', blocked: false },
+        { id: b, name: 'B', status: 'open', blocked: true },
+        { id: c, name: 'C', status: 'open', blocked: true }
+      ]);
+      expect(res.body.edges).toEqual([
+        { from: a, to: b },
+        { from: a, to: c },
+        { from: b, to: c }
+      ]);
+    });
+  });
+
+  // ==================== BOARDS ====================
+  describe('Boards', () => {
+    async function createBoard(name) {
+      const res = await request(app).post('/api/boards').send({ name });
+      return res.body.board.id;
+    }
+
+    test('GET /api/boards should start with the default board', async () => {
+      const res = await request(app).get('/api/boards');
+      expect(res.status).toBe(200);
+      expect(res.body.boards).toEqual([{ id: 'default', name: 'Default', taskCount: 0, openCount: 0 }]);
+    });
+
+    test('Boards should be created, renamed and deleted', async () => {
+      const created = await request(app).post('/api/boards').send({ name: '  Marketing ' });
+      expect(created.status).toBe(201);
+      expect(created.body.board).toEqual({
+        id: expect.stringMatching(/^b_/),
+        name: 'Marketing',
+        createdAt: expect.any(String),
+        taskCount: 0,
+        openCount: 0
+      });
+      const id = created.body.board.id;
+
+      const renamed = await request(app).patch(`/api/boards/${id}`).send({ name: 'Growth' });
+      expect(renamed.body.board.name).toBe('Growth');
+      expect((await request(app).get(`/api/boards/${id}`)).body.board.name).toBe('Growth');
+
+      expect((await request(app).delete(`/api/boards/${id}`)).status).toBe(200);
+      expect((await request(app).get(`/api/boards/${id}`)).status).toBe(404);
+    });
+
+    test('Board names should be required and unique', async () => {
+      expect((await request(app).post('/api/boards').send({ name: ' ' })).status).toBe(400);
+      await createBoard('Ops');
+      expect((await request(app).post('/api/boards').send({ name: 'ops' })).status).toBe(409);
+      expect((await request(app).post('/api/boards').send({ name: 'default' })).status).toBe(409);
+    });
+
+    test('The default board should not be renamed or deleted', async () => {
+      expect((await request(app).patch('/api/boards/default').send({ name: 'Main' })).status).toBe(400);
+      expect((await request(app).delete('/api/boards/default')).status).toBe(400);
+    });
+
+    test('Tasks should be scoped to their board', async () => {
+      const ops = await createBoard('Ops');
+      const created = await request(app).post(`/api/boards/${ops}/tasks`).send({ name: 'Rotate keys' });
+      expect(created.status).toBe(201);
+      await request(app).post('/api/tasks').send({ name: 'Elsewhere' });
+
+      const onBoard = await request(app).get(`/api/boards/${ops}/tasks`);
+      expect(onBoard.body.tasks.map(task => task.name)).toEqual(['Rotate keys']);
+      expect(onBoard.body.tasks[0].boardId).toBe(ops);
+      expect((await request(app).get('/api/tasks?board=default')).body.tasks.map(task => task.name)).toEqual(['Elsewhere']);
+      expect((await request(app).get('/api/tasks')).body.total).toBe(2);
+      expect((await request(app).get('/api/boards/b_missing/tasks')).status).toBe(404);
+    });
+
+    test('Tasks should only go on boards that exist', async () => {
+      const res = await request(app).post('/api/tasks').send({ name: 'Lost', boardId: 'b_missing' });
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([{ field: 'boardId', message: 'Board b_missing does not exist.' }]);
+    });
+
+    test('Every task event should carry the board id', async () => {
+      const ops = await createBoard('Ops');
+      const created = await request(app).post(`/api/boards/${ops}/tasks`).send({ name: 'Patch' });
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+
+      const events = fs.readFileSync(TEST_EVENT_FILE, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+      expect(events.map(evt => [evt.type, evt.boardId])).toEqual([
+        ['board_create', undefined],
+        ['create', ops],
+        ['complete', ops]
+      ]);
+    });
+
+    test('A board with tasks should not be deleted until they are moved', async () => {
+      const ops = await createBoard('Ops');
+      const created = await request(app).post(`/api/boards/${ops}/tasks`).send({ name: 'Patch' });
+
+      const blocked = await request(app).delete(`/api/boards/${ops}`);
+      expect(blocked.status).toBe(409);
+
+      const moved = await request(app).patch(`/api/tasks/${created.body.id}`).send({ boardId: 'default' });
+      expect(moved.body.task.boardId).toBe('default');
+      expect((await request(app).delete(`/api/boards/${ops}`)).status).toBe(200);
+    });
+
+    test('Restoring a task from a deleted board should put it on the default board', async () => {
+      const ops = await createBoard('Ops');
+      const created = await request(app).post(`/api/boards/${ops}/tasks`).send({ name: 'Patch' });
+      await request(app).delete(`/api/tasks/${created.body.id}`);
+      await request(app).delete(`/api/boards/${ops}`);
+
+      const restored = await request(app).post(`/api/tasks/${created.body.id}/restore`);
+      expect(restored.status).toBe(200);
+      expect((await request(app).get(`/api/tasks/${created.body.id}`)).body.task.boardId).toBe('default');
+    });
+
+    test('GET /metrics should count tasks per board', async () => {
+      const ops = await createBoard('Ops');
+      const created = await request(app).post(`/api/boards/${ops}/tasks`).send({ name: 'Patch' });
+      await request(app).post(`/api/boards/${ops}/tasks`).send({ name: 'Audit' });
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+
+      const res = await request(app).get('/metrics');
+      expect(res.body.boards).toEqual({
+        default: { name: 'Default', total_tasks: 0, open_tasks: 0, completed_tasks: 0 },
+        [ops]: { name: 'Ops', total_tasks: 2, open_tasks: 1, completed_tasks: 1 }
+      });
+    });
+
+    test('Boards should survive a restart, from the log or a snapshot', async () => {
+      const ops = await createBoard('Ops');
+      await request(app).post(`/api/boards/${ops}/tasks`).send({ name: 'Patch' });
+
+      for (const snapshot of [false, true]) {
+        if (snapshot) await request(app).post('/admin/snapshot');
+        app = getFreshApp();
+        expect((await request(app).get('/api/boards')).body.boards.map(board => board.name)).toEqual(['Default', 'Ops']);
+        expect((await request(app).get(`/api/boards/${ops}/tasks`)).body.total).toBe(1);
+      }
+      fs.rmSync(`${TEST_EVENT_FILE}.snapshot.json`, { force: true });
+    });
+  });
+
+  // ==================== COMMENTS & ACTIVITY ====================
+  describe('Comments and Activity', () => {
+    const comment = (id, body) => request(app).post(`/api/tasks/${id}/comments`).send(body);
+
+    test('POST /api/tasks/:id/comments should add a comment without changing the task version', async () => {
+      const id = await createTask(app, 'Discuss');
+      const response = await comment(id, { text: '  First thoughts  ' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.comment).toEqual({
+        id: expect.stringMatching(/^c_/),
+        parentId: null,
+        text: 'First thoughts',
+        author: 'u_test1',
+        createdAt: expect.any(String),
+        replies: []
+      });
+      expect((await request(app).get(`/api/tasks/${id}`)).body.task.version).toBe(1);
+    });
+
+    test('Replies should be threaded under their parent', async () => {
+      const id = await createTask(app, 'Threads');
+      const first = (await comment(id, { text: 'Question?' })).body.comment;
+      await comment(id, { text: 'Separate point' });
+      const reply = (await comment(id, { text: 'Answer', parentId: first.id })).body.comment;
+      await comment(id, { text: 'Follow-up', parentId: reply.id });
+
+      const { comments } = (await request(app).get(`/api/tasks/${id}/comments`)).body;
+      expect(comments.map(c => c.text)).toEqual(['Question?', 'Separate point']);
+      expect(comments[0].replies.map(c => c.text)).toEqual(['Answer']);
+      expect(comments[0].replies[0].replies.map(c => c.text)).toEqual(['Follow-up']);
+    });
+
+    test('Comments should be checked', async () => {
+      const id = await createTask(app, 'Checked');
+      const other = await createTask(app, 'Other');
+      const elsewhere = (await comment(other, { text: 'On the other task' })).body.comment;
+
+      expect((await comment(id, { text: ' ' })).status).toBe(400);
+      const wrongParent = await comment(id, { text: 'Reply', parentId: elsewhere.id });
+      expect(wrongParent.status).toBe(400);
+      expect(wrongParent.body.errors).toEqual([{ field: 'parentId', message: `Comment ${elsewhere.id} is not on this task.` }]);
+      expect((await comment('t_missing', { text: 'Hello' })).status).toBe(404);
+      expect((await request(app).get('/api/tasks/t_missing/comments')).status).toBe(404);
+    });
+
+    test('Viewers should read comments but not write them', async () => {
+      const id = await createTask(app, 'Read');
+      await comment(id, { text: 'Visible' });
+      const { token } = addUser({ role: 'viewer' });
+
+      const read = await supertest(app).get(`/api/tasks/${id}/comments`).set(authHeader(token));
+      expect(read.body.comments.map(c => c.text)).toEqual(['Visible']);
+      const write = await supertest(app).post(`/api/tasks/${id}/comments`).set(authHeader(token)).send({ text: 'Mine' });
+      expect(write.status).toBe(403);
+    });
+
+    test('Deleted tasks should keep their comments but take no new ones', async () => {
+      const id = await createTask(app, 'Gone');
+      await comment(id, { text: 'Before' });
+      await request(app).delete(`/api/tasks/${id}`);
+
+      expect((await request(app).get(`/api/tasks/${id}/comments`)).body.comments).toHaveLength(1);
+      expect((await comment(id, { text: 'After' })).status).toBe(404);
+    });
+
+    test('GET /api/tasks/:id/activity should merge lifecycle events and comment threads', async () => {
+      const id = await createTask(app, 'Tracked');
+      await request(app).patch(`/api/tasks/${id}`).send({ name: 'Tracked task', priority: 'high' });
+      const thread = (await comment(id, { text: 'Why high?' })).body.comment;
+      await request(app).post(`/api/tasks/${id}/checklist`).send({ text: 'Not in the feed' });
+      await request(app).delete(`/api/tasks/${id}`);
+      await request(app).post(`/api/tasks/${id}/restore`);
+      await comment(id, { text: 'Because', parentId: thread.id });
+
+      const response = await request(app).get(`/api/tasks/${id}/activity`);
+      expect(response.status).toBe(200);
+      const { activity } = response.body;
+      expect(activity.map(entry => entry.type)).toEqual(['created', 'edited', 'comment', 'deleted', 'restored']);
+      expect(activity.every(entry => entry.actor === 'u_test1' && typeof entry.at === 'string')).toBe(true);
+      expect(activity[1].fields).toEqual(['name', 'priority']);
+      expect(activity[2].comment).toMatchObject({ text: 'Why high?', replies: [{ text: 'Because' }] });
+    });
+  });
+
+  // ==================== ACCOUNTS & AUTHENTICATION ====================
+  describe('Accounts and Authentication', () => {
+    const clearAccounts = () => {
+      const store = require('../auth').getUserStore();
+      store.save([]);
+      store.saveSessions([]);
+    };
+
+    test('/api routes should answer 401 without a session', async () => {
+      const response = await supertest(app).get('/api/tasks');
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, error: 'Sign in first.' });
+
+      const forged = await supertest(app).get('/api/tasks').set('Authorization', 'Bearer not-a-token');
+      expect(forged.status).toBe(401);
+      expect((await supertest(app).get('/health')).status).toBe(200);
+    });
+
+    test('The first account should be open to create, later ones should need a session', async () => {
+      clearAccounts();
+      const session = await supertest(app).get('/api/auth/session');
+      expect(session.status).toBe(401);
+      expect(session.body.setupRequired).toBe(true);
+
+      const first = await supertest(app).post('/api/users').send({ username: ' Ada ', password: 'long enough', name: 'Ada L.' });
+      expect(first.status).toBe(201);
+      expect(first.body.user).toEqual({
+        id: expect.stringMatching(/^u_/),
+        username: 'ada',
+        name: 'Ada L.',
+        role: 'admin',
+        createdAt: expect.any(String)
+      });
+
+      const second = await supertest(app).post('/api/users').send({ username: 'bob', password: 'long enough' });
+      expect(second.status).toBe(401);
+    });
+
+    test('New accounts should be checked and usernames unique', async () => {
+      expect((await request(app).post('/api/users').send({ username: 'x', password: 'long enough' })).status).toBe(400);
+      expect((await request(app).post('/api/users').send({ username: 'carol', password: 'short' })).status).toBe(400);
+      expect((await request(app).post('/api/users').send({ username: 'carol', password: 'long enough' })).status).toBe(201);
+      expect((await request(app).post('/api/users').send({ username: 'Carol', password: 'long enough' })).status).toBe(409);
+    });
+
+    test('Passwords should be stored hashed and never returned', async () => {
+      await request(app).post('/api/users').send({ username: 'dave', password: 'long enough' });
+
+      const stored = require('../auth').getUserStore().list().find(user => user.username === 'dave');
+      expect(stored.passwordHash).toMatch(/^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+      const users = (await request(app).get('/api/users')).body.users;
+      expect(users.map(user => user.username)).toEqual(['tester1', 'dave']);
+      expect(users.every(user => !('passwordHash' in user))).toBe(true);
+    });
+
+    test('Signing in should set a session cookie that the API accepts', async () => {
+      const wrong = await supertest(app).post('/api/auth/login').send({ username: 'tester1', password: 'wrong password' });
+      expect(wrong.status).toBe(401);
+      const unknown = await supertest(app).post('/api/auth/login').send({ username: 'nobody', password: TEST_PASSWORD });
+      expect(unknown.status).toBe(401);
+
+      const login = await supertest(app).post('/api/auth/login').send({ username: 'Tester1', password: TEST_PASSWORD });
+      expect(login.status).toBe(200);
+      expect(login.body.user.username).toBe('tester1');
+      const cookie = login.headers['set-cookie'][0];
+      expect(cookie).toMatch(/^session=[^;]+;.*HttpOnly/);
+      expect(cookie).toMatch(/SameSite=Strict/);
+
+      const cookieHeader = cookie.split(';')[0];
+      expect((await supertest(app).get('/api/tasks').set('Cookie', cookieHeader)).status).toBe(200);
+      const session = await supertest(app).get('/api/auth/session').set('Cookie', cookieHeader);
+      expect(session.body.user.id).toBe('u_test1');
+
+      await supertest(app).post('/api/auth/logout').set('Cookie', cookieHeader);
+      expect((await supertest(app).get('/api/tasks').set('Cookie', cookieHeader)).status).toBe(401);
+      expect((await supertest(app).get('/api/tasks').set(authHeader(login.body.token))).status).toBe(401);
+    });
+
+    test('Expired sessions should be refused', async () => {
+      const auth = require('../auth');
+      const store = auth.getUserStore();
+      const { token, session } = auth.createSession('u_test1', Date.now() - auth.sessionTtlMs() - 1000);
+      store.saveSessions([...store.sessions(), session]);
+
+      expect((await supertest(app).get('/api/tasks').set(authHeader(token))).status).toBe(401);
+    });
+
+    test('Events should record the user who made them', async () => {
+      const other = addUser();
+      const created = await request(app).post('/api/tasks').send({ name: 'Owned' });
+      await supertest(app).post(`/api/tasks/${created.body.id}/complete`).set(authHeader(other.token));
+
+      const events = fs.readFileSync(TEST_EVENT_FILE, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+      expect(events.map(evt => [evt.type, evt.actor])).toEqual([
+        ['create', 'u_test1'],
+        ['complete', other.user.id]
+      ]);
+      const task = (await request(app).get(`/api/tasks/${created.body.id}`)).body.task;
+      expect(task).toMatchObject({ createdBy: 'u_test1', assignee: null });
+    });
+
+    test('Tasks should only be assigned to existing users', async () => {
+      const other = addUser();
+      const created = await request(app).post('/api/tasks').send({ name: 'Assigned', assignee: other.user.id });
+      expect((await request(app).get(`/api/tasks/${created.body.id}`)).body.task.assignee).toBe(other.user.id);
+
+      const unassigned = await request(app).patch(`/api/tasks/${created.body.id}`).send({ assignee: null });
+      expect(unassigned.body.task.assignee).toBe(null);
+
+      const missing = await request(app).patch(`/api/tasks/${created.body.id}`).send({ assignee: 'u_missing' });
+      expect(missing.status).toBe(400);
+      expect(missing.body.errors).toEqual([{ field: 'assignee', message: 'User u_missing does not exist.' }]);
+    });
+
+    test('Events written by the scheduler should be by the system', async () => {
+      const created = await request(app).post('/api/tasks').send({
+        name: 'Daily', date: '2024-01-01', time: '09:00', recurrence: 'daily', assignee: 'u_test1'
+      });
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+
+      const events = fs.readFileSync(TEST_EVENT_FILE, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+      expect(events.map(evt => [evt.type, evt.actor])).toEqual([
+        ['create', 'u_test1'],
+        ['complete', 'u_test1'],
+        ['create', 'system']
+      ]);
+      const next = (await request(app).get('/api/tasks')).body.tasks.find(task => task.id !== created.body.id);
+      expect(next).toMatchObject({ createdBy: 'u_test1', assignee: 'u_test1' });
+    });
+  });
+
+  // ==================== ROLES & PERMISSIONS ====================
+  describe('Roles and Permissions', () => {
+    // Admin requests below write a snapshot and a compaction backup
+    afterEach(() => {
+      const rootDir = path.join(__dirname, '../..');
+      for (const file of fs.readdirSync(rootDir)) {
+        if (/^test-eventlist\.txt\.(.*\.bak|snapshot\.json)$/.test(file)) {
+          fs.unlinkSync(path.join(rootDir, file));
+        }
+      }
+    });
+
+    // Requests as a new user with `role`: client.get(url), client.post(url), ...
+    function clientFor(role) {
+      const { user, token } = addUser({ role });
+      const client = { user };
+      for (const method of ['get', 'post', 'patch', 'delete']) {
+        client[method] = url => supertest(app)[method](url).set(authHeader(token));
+      }
+      return client;
+    }
+
+    test('403 responses should name the role needed and the role held', async () => {
+      const viewer = clientFor('viewer');
+      const response = await viewer.post('/api/tasks').send({ name: 'Nope' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({
+        ok: false,
+        error: 'This needs the member role or higher; your role is viewer.',
+        requiredRole: 'member',
+        role: 'viewer'
+      });
+    });
+
+    test('Viewers should read but not change anything', async () => {
+      const id = await createTask(app, 'Read only');
+      const viewer = clientFor('viewer');
+
+      expect((await viewer.get('/api/tasks')).status).toBe(200);
+      expect((await viewer.get(`/api/tasks/${id}`)).status).toBe(200);
+      expect((await viewer.get(`/api/tasks/${id}/history`)).status).toBe(200);
+      expect((await viewer.get('/api/boards')).status).toBe(200);
+      expect((await viewer.get('/api/users')).status).toBe(200);
+
+      expect((await viewer.patch(`/api/tasks/${id}`).send({ name: 'Changed' })).status).toBe(403);
+      expect((await viewer.post(`/api/tasks/${id}/complete`)).status).toBe(403);
+      expect((await viewer.post(`/api/tasks/${id}/checklist`).send({ text: 'Item' })).status).toBe(403);
+      expect((await viewer.post('/api/boards').send({ name: 'Mine' })).status).toBe(403);
+      expect((await viewer.delete(`/api/tasks/${id}`)).status).toBe(403);
+      expect((await request(app).get(`/api/tasks/${id}`)).body.task).toMatchObject({ name: 'Read only', status: 'open' });
+    });
+
+    test('Members should create, edit and complete but not delete, even their own tasks', async () => {
+      const member = clientFor('member');
+      const created = await member.post('/api/tasks').send({ name: 'Member task' });
+      expect(created.status).toBe(201);
+      const id = created.body.id;
+
+      expect((await member.patch(`/api/tasks/${id}`).send({ name: 'Renamed' })).status).toBe(200);
+      expect((await member.post(`/api/tasks/${id}/checklist`).send({ text: 'Step' })).status).toBe(201);
+      expect((await member.post(`/api/tasks/${id}/complete`)).status).toBe(200);
+      expect((await member.post(`/api/tasks/${id}/reopen`)).status).toBe(200);
+      const board = await member.post('/api/boards').send({ name: 'Team' });
+      expect(board.status).toBe(201);
+
+      expect((await member.delete(`/api/boards/${board.body.board.id}`)).status).toBe(403);
+      const denied = await member.delete(`/api/tasks/${id}`);
+      expect(denied.status).toBe(403);
+      expect(denied.body.requiredRole).toBe('owner');
+      await request(app).delete(`/api/tasks/${id}`);
+      expect((await member.post(`/api/tasks/${id}/restore`)).status).toBe(403);
+    });
+
+    test('Roles should be global, the same on every board', async () => {
+      const board = (await request(app).post('/api/boards').send({ name: 'Elsewhere' })).body.board;
+      const viewer = clientFor('viewer');
+      const member = clientFor('member');
+
+      expect((await viewer.post(`/api/boards/${board.id}/tasks`).send({ name: 'Nope' })).status).toBe(403);
+      const created = await member.post(`/api/boards/${board.id}/tasks`).send({ name: 'Here' });
+      expect(created.status).toBe(201);
+      expect((await member.delete(`/api/tasks/${created.body.id}`)).status).toBe(403);
+    });
+
+    test('Owners should delete and restore tasks and delete boards', async () => {
+      const owner = clientFor('owner');
+      const id = await createTask(app, 'Disposable');
+      const board = (await request(app).post('/api/boards').send({ name: 'Old' })).body.board;
+
+      expect((await owner.delete(`/api/tasks/${id}`)).status).toBe(200);
+      expect((await owner.post(`/api/tasks/${id}/restore`)).status).toBe(200);
+      expect((await owner.delete(`/api/boards/${board.id}`)).status).toBe(200);
+    });
+
+    test('Only admins should reach metrics, log maintenance, webhooks and accounts', async () => {
+      const adminOnly = client => [
+        client.get('/metrics'),
+        client.get('/admin/log/verify'),
+        client.post('/admin/snapshot'),
+        client.post('/admin/compact'),
+        client.get('/api/webhooks'),
+        client.post('/api/users').send({ username: 'newbie', password: 'long enough' })
+      ];
+
+      for (const role of ['viewer', 'member', 'owner']) {
+        const statuses = (await Promise.all(adminOnly(clientFor(role)))).map(response => response.status);
+        expect(statuses).toEqual([403, 403, 403, 403, 403, 403]);
+      }
+
+      const statuses = (await Promise.all(adminOnly(clientFor('admin')))).map(response => response.status);
+      expect(statuses).toEqual([200, 200, 200, 200, 200, 201]);
+      expect((await supertest(app).get('/metrics')).status).toBe(401);
+    });
+
+    test('Accounts from before roles should become members, except the first one', async () => {
+      const { user } = signIn();
+      expect(user.role).toBeUndefined();
+      const { token } = addUser();
+
+      const session = await request(app).get('/api/auth/session');
+      expect(session.body.user.role).toBe('admin');
+      expect((await request(app).get('/metrics')).status).toBe(200);
+      const later = await supertest(app).get('/api/auth/session').set(authHeader(token));
+      expect(later.body.user.role).toBe('member');
+      expect((await supertest(app).get('/metrics').set(authHeader(token))).status).toBe(403);
+    });
+
+    test('Admins should give users roles, keeping at least one admin', async () => {
+      const created = await request(app).post('/api/users').send({ username: 'erin', password: 'long enough' });
+      expect(created.body.user.role).toBe('member');
+      const id = created.body.user.id;
+
+      const promoted = await request(app).patch(`/api/users/${id}`).send({ role: 'owner' });
+      expect(promoted.body.user.role).toBe('owner');
+      expect((await request(app).patch(`/api/users/${id}`).send({ role: 'boss' })).status).toBe(400);
+      expect((await request(app).patch('/api/users/u_missing').send({ role: 'viewer' })).status).toBe(404);
+
+      const lastAdmin = await request(app).patch('/api/users/u_test1').send({ role: 'member' });
+      expect(lastAdmin.status).toBe(409);
+      expect(lastAdmin.body.error).toBe('The last admin cannot lose the admin role.');
+    });
+  });
+
+  // ==================== VERSIONS & ETAGS ====================
+  describe('Task Versions and ETags', () => {
+    test('Tasks should carry a version counting the events applied to them', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Versioned' });
+      const id = created.body.id;
+      expect((await request(app).get(`/api/tasks/${id}`)).body.task.version).toBe(1);
+
+      await request(app).patch(`/api/tasks/${id}`).send({ name: 'Versioned 2' });
+      await request(app).post(`/api/tasks/${id}/complete`);
+      expect((await request(app).get(`/api/tasks/${id}`)).body.task.version).toBe(3);
+
+      await request(app).delete(`/api/tasks/${id}`);
+      await request(app).post(`/api/tasks/${id}/restore`);
+      expect((await request(app).get(`/api/tasks/${id}`)).body.task.version).toBe(5);
+    });
+
+    test('GET /api/tasks/:id should return the task with an ETag, or 404', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Single' });
+
+      const response = await request(app).get(`/api/tasks/${created.body.id}`);
+      expect(response.status).toBe(200);
+      expect(response.body.task.name).toBe('Single');
+      expect(response.headers.etag).toBe('"v1"');
+
+      const missing = await request(app).get('/api/tasks/non-existent-id');
+      expect(missing.status).toBe(404);
+    });
+
+    test('GET /api/tasks/:id should answer 304 to a matching If-None-Match', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Cached' });
+      const url = `/api/tasks/${created.body.id}`;
+
+      const notModified = await request(app).get(url).set('If-None-Match', '"v1"');
+      expect(notModified.status).toBe(304);
+
+      await request(app).patch(url).send({ name: 'Changed' });
+      const changed = await request(app).get(url).set('If-None-Match', '"v1"');
+      expect(changed.status).toBe(200);
+      expect(changed.headers.etag).toBe('"v2"');
+    });
+
+    test('GET /api/tasks should send an ETag that changes with the data', async () => {
+      await request(app).post('/api/tasks').send({ name: 'One' });
+      const first = await request(app).get('/api/tasks');
+      expect(first.headers.etag).toBeDefined();
+
+      const notModified = await request(app).get('/api/tasks').set('If-None-Match', first.headers.etag);
+      expect(notModified.status).toBe(304);
+
+      await request(app).post('/api/tasks').send({ name: 'Two' });
+      const changed = await request(app).get('/api/tasks').set('If-None-Match', first.headers.etag);
+      expect(changed.status).toBe(200);
+      expect(changed.headers.etag).not.toBe(first.headers.etag);
+      expect(changed.body.tasks).toHaveLength(2);
+    });
+
+    test('PATCH with a stale If-Match should return 412 and leave the task alone', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Shared' });
+      const url = `/api/tasks/${created.body.id}`;
+      await request(app).patch(url).set('If-Match', '"v1"').send({ name: 'Alice was here' });
+
+      const response = await request(app).patch(url).set('If-Match', '"v1"').send({ name: 'Bob was here' });
+
+      expect(response.status).toBe(412);
+      expect(response.body.ok).toBe(false);
+      expect(response.body.task.name).toBe('Alice was here');
+      expect(response.headers.etag).toBe('"v2"');
+      expect((await request(app).get(url)).body.task.name).toBe('Alice was here');
+    });
+
+    test('Mutating routes should accept a current If-Match and return the new ETag', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Careful' });
+      const url = `/api/tasks/${created.body.id}`;
+
+      const patched = await request(app).patch(url).set('If-Match', '"v1"').send({ name: 'Careful 2' });
+      expect(patched.status).toBe(200);
+      expect(patched.headers.etag).toBe('"v2"');
+      expect(patched.body.task.version).toBe(2);
+
+      const completed = await request(app).post(`${url}/complete`).set('If-Match', '"v2"');
+      expect(completed.headers.etag).toBe('"v3"');
+
+      const reopened = await request(app).post(`${url}/reopen`).set('If-Match', '*');
+      expect(reopened.status).toBe(200);
+
+      const deleted = await request(app).delete(url).set('If-Match', '"v4"');
+      expect(deleted.status).toBe(200);
+      const restored = await request(app).post(`${url}/restore`).set('If-Match', '"v5"');
+      expect(restored.status).toBe(200);
+      expect(restored.headers.etag).toBe('"v6"');
+    });
+
+    test('DELETE and complete with a stale If-Match should return 412', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Contested' });
+      const url = `/api/tasks/${created.body.id}`;
+      await request(app).patch(url).send({ description: 'Someone else edited this' });
+
+      const deleted = await request(app).delete(url).set('If-Match', '"v1"');
+      const completed = await request(app).post(`${url}/complete`).set('If-Match', '"v1"');
+
+      expect(deleted.status).toBe(412);
+      expect(completed.status).toBe(412);
+      expect((await request(app).get('/api/tasks')).body.tasks[0].status).toBe('open');
+    });
+
+    test('If-Match on a task that does not exist should return 412', async () => {
+      const response = await request(app).delete('/api/tasks/non-existent-id').set('If-Match', '*');
+
+      expect(response.status).toBe(412);
+    });
+  });
+
+  // ==================== SERVER-SENT EVENTS ====================
+  describe('Event Stream', () => {
+    let server;
+
+    beforeEach((done) => {
+      server = app.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    // Open /api/stream and collect parsed messages until `until` is satisfied
+    function openStream(headers = {}, query = '') {
+      const messages = [];
+      let buffer = '';
+      let waiter = null;
+      const check = () => {
+        if (waiter && waiter.until(messages)) {
+          waiter.resolve(messages);
+          waiter = null;
+        }
+      };
+
+      const req = http.get({
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: `/api/stream${query}`,
+        headers: { ...authHeader(), ...headers }
+      });
+      const opened = new Promise((resolve, reject) => {
+        req.on('error', reject);
+        req.on('response', (res) => {
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+              const block = buffer.slice(0, end);
+              buffer = buffer.slice(end + 2);
+              const msg = {};
+              for (const line of block.split('\n')) {
+                const [field, ...rest] = line.split(': ');
+                if (field) msg[field] = rest.join(': ');
+              }
+              if (msg.event) messages.push({ ...msg, data: JSON.parse(msg.data) });
+            }
+            check();
+          });
+          resolve(res);
+        });
+      });
+
+      return {
+        opened,
+        waitFor(until) {
+          return new Promise((resolve) => {
+            waiter = { until, resolve };
+            check();
+          });
+        },
+        close() {
+          req.destroy();
+        }
+      };
+    }
+
+    test('GET /api/stream should send a ready message with the current seq', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Before' });
+      const stream = openStream();
+
+      const res = await stream.opened;
+      const [ready] = await stream.waitFor(msgs => msgs.length >= 1);
+      stream.close();
+
+      expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+      expect(ready.event).toBe('ready');
+      expect(ready.id).toBe('1');
+      expect(ready.data.seq).toBe(1);
+    });
+
+    test('Events should be pushed as they are written', async () => {
+      const stream = openStream();
+      await stream.waitFor(msgs => msgs.length >= 1);
+
+      const created = await request(app).post('/api/tasks').send({ name: 'Pushed' });
+      await request(app).delete(`/api/tasks/${created.body.id}`);
+      const messages = await stream.waitFor(msgs => msgs.length >= 3);
+      stream.close();
+
+      const [, create, del] = messages;
+      expect(create.event).toBe('task');
+      expect(create.id).toBe('1');
+      expect(create.data.event.type).toBe('create');
+      expect(create.data.task.name).toBe('Pushed');
+      expect(del.id).toBe('2');
+      expect(del.data.event.type).toBe('delete');
+      expect(del.data.task).toBeNull();
+    });
+
+    test('Events written by another process should reach the stream', async () => {
+      const stream = openStream();
+      await stream.waitFor(msgs => msgs.length >= 1);
+
+      fs.appendFileSync(TEST_EVENT_FILE, JSON.stringify({ type: 'create', id: 'external', name: 'From elsewhere' }) + '\n');
+      const messages = await stream.waitFor(msgs => msgs.length >= 2);
+      stream.close();
+
+      expect(messages[1].data.task.name).toBe('From elsewhere');
+      expect(messages[1].id).toBe('1');
+    });
+
+    test('Last-Event-ID should replay the events missed since then', async () => {
+      const first = await request(app).post('/api/tasks').send({ name: 'Seen' });
+      await request(app).post('/api/tasks').send({ name: 'Missed' });
+      await request(app).patch(`/api/tasks/${first.body.id}`).send({ name: 'Seen, then renamed' });
+
+      const stream = openStream({ 'Last-Event-ID': '1' });
+      const messages = await stream.waitFor(msgs => msgs.some(m => m.event === 'ready'));
+      stream.close();
+
+      expect(messages.map(m => m.id)).toEqual(['2', '3', '3']);
+      expect(messages[0].data.task.name).toBe('Missed');
+      expect(messages[1].data.event.type).toBe('update');
+      expect(messages[1].data.task.name).toBe('Seen, then renamed');
+    });
+
+    test('A lastEventId ahead of the log should ask the client to reload', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Only one' });
+
+      const stream = openStream({}, '?lastEventId=42');
+      const messages = await stream.waitFor(msgs => msgs.some(m => m.event === 'ready'));
+      stream.close();
+
+      expect(messages[0].event).toBe('reset');
+      expect(messages[0].data.seq).toBe(1);
+    });
+
+    test('Reminders should be pushed to open streams', async () => {
+      const dueTs = Math.floor(Date.now() / 60000) * 60000;
+      const d = new Date(dueTs);
+      const pad = n => String(n).padStart(2, '0');
+      await request(app).post('/api/tasks').send({
+        name: 'Ring ring',
+        date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`,
+        time: `${pad(d.getHours())}:${pad(d.getMinutes())}`
+      });
+
+      const stream = openStream();
+      await stream.waitFor(msgs => msgs.length >= 1);
+      await app.runReminders(dueTs);
+      const messages = await stream.waitFor(msgs => msgs.some(m => m.event === 'reminder'));
+      stream.close();
+
+      const reminder = messages.find(m => m.event === 'reminder');
+      expect(reminder.id).toBeUndefined();
+      expect(reminder.data.task.name).toBe('Ring ring');
+      expect(messages.find(m => m.event === 'task').data.event.type).toBe('notified');
+    });
+
+    test('Compacting the log should send a reset to open streams', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Gone' });
+      await request(app).delete(`/api/tasks/${created.body.id}`);
+      await request(app).post('/api/tasks').send({ name: 'Kept' });
+
+      const stream = openStream();
+      await stream.waitFor(msgs => msgs.length >= 1);
+      await request(app).post('/admin/compact');
+      const messages = await stream.waitFor(msgs => msgs.length >= 2);
+      stream.close();
+
+      expect(messages[1].event).toBe('reset');
+      expect(messages[1].id).toBe('1');
+    });
+  });
+
+  // ==================== DUE-DATE REMINDERS ====================
+  describe('Due-Date Reminders', () => {
+    // A due time on a whole minute, an hour from now
+    const dueTs = Math.floor(Date.now() / 60000) * 60000 + 60 * 60 * 1000;
+
+    afterEach(() => {
+      delete process.env.REMINDER_LEAD_MINUTES;
+      delete process.env.REMINDER_CHANNELS;
+    });
+
+    test('A reminder should be recorded once when the task falls due', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Call back', ...localDateTime(dueTs) });
+
+      expect(await app.runReminders(dueTs - 1000)).toHaveLength(0);
+      const sent = await app.runReminders(dueTs);
+      expect(await app.runReminders(dueTs + 1000)).toHaveLength(0);
+
+      expect(sent).toHaveLength(1);
+      expect(sent[0].reminder.task.name).toBe('Call back');
+      expect(sent[0].reminder.dueAt).toBe(new Date(dueTs).toISOString());
+      expect(sent[0].results).toEqual([{ channel: 'sse', ok: true }]);
+
+      const history = await request(app).get(`/api/tasks/${created.body.id}/history`);
+      const notified = history.body.events.filter(evt => evt.type === 'notified');
+      expect(notified).toHaveLength(1);
+      expect(notified[0].leadMinutes).toBe(0);
+    });
+
+    test('Recording a reminder should not change the task version', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Versioned', ...localDateTime(dueTs) });
+      await app.runReminders(dueTs);
+
+      const task = (await request(app).get(`/api/tasks/${created.body.id}`)).body.task;
+      expect(task.version).toBe(1);
+      expect(task.reminders).toEqual([expect.objectContaining({ dueAt: new Date(dueTs).toISOString(), leadMinutes: 0 })]);
+    });
+
+    test('Lead times should send one reminder per lead time', async () => {
+      process.env.REMINDER_LEAD_MINUTES = '15,0';
+      await request(app).post('/api/tasks').send({ name: 'Meeting', ...localDateTime(dueTs) });
+
+      const early = await app.runReminders(dueTs - 10 * 60 * 1000);
+      const onTime = await app.runReminders(dueTs);
+
+      expect(early.map(r => r.reminder.leadMinutes)).toEqual([15]);
+      expect(onTime.map(r => r.reminder.leadMinutes)).toEqual([0]);
+    });
+
+    test('Moving the due time should arm the reminder again', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Moved', ...localDateTime(dueTs) });
+      await app.runReminders(dueTs);
+
+      const laterTs = dueTs + 60 * 60 * 1000;
+      await request(app).patch(`/api/tasks/${created.body.id}`).send(localDateTime(laterTs));
+
+      expect(await app.runReminders(laterTs - 1000)).toHaveLength(0);
+      expect(await app.runReminders(laterTs)).toHaveLength(1);
+    });
+
+    test('Completed, undated and long overdue tasks should not be reminded', async () => {
+      const done = await request(app).post('/api/tasks').send({ name: 'Done', ...localDateTime(dueTs) });
+      await request(app).post(`/api/tasks/${done.body.id}/complete`);
+      await request(app).post('/api/tasks').send({ name: 'Someday' });
+      await request(app).post('/api/tasks').send({ name: 'Ancient', date: '2001-01-01', time: '09:00' });
+
+      expect(await app.runReminders(dueTs)).toHaveLength(0);
+    });
+
+    test('Urgent tasks with a due time should be reminded', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Urgent', priority: 'urgent', ...localDateTime(dueTs) });
+      const sent = await app.runReminders(dueTs);
+      expect(sent.map(r => r.reminder.task.name)).toEqual(['Urgent']);
+    });
+
+    test('A reminder recorded by another process should not be sent again', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Shared', ...localDateTime(dueTs) });
+      const otherProcess = getFreshApp();
+
+      const first = await otherProcess.runReminders(dueTs);
+      const second = await app.runReminders(dueTs);
+
+      expect(first).toHaveLength(1);
+      expect(second).toHaveLength(0);
+    });
+
+    test('A failing channel should be reported without stopping the others', async () => {
+      process.env.REMINDER_CHANNELS = 'sse,webhook';
+      process.env.REMINDER_WEBHOOK_URL = 'http://127.0.0.1:1/hook';
+      await request(app).post('/api/tasks').send({ name: 'Hooked', ...localDateTime(dueTs) });
+
+      const [sent] = await app.runReminders(dueTs);
+      delete process.env.REMINDER_WEBHOOK_URL;
+
+      expect(sent.results[0]).toEqual({ channel: 'sse', ok: true });
+      expect(sent.results[1]).toMatchObject({ channel: 'webhook', ok: false });
+    });
+  });
+
+  // ==================== OUTGOING WEBHOOKS ====================
+  describe('Outgoing Webhooks', () => {
+    let receiver;
+    let received;
+    let answers;
+
+    beforeEach((done) => {
+      received = [];
+      // Status codes to answer with, in order; 200 once they run out
+      answers = [];
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.statusCode = answers.shift() || 200;
+          res.end();
+        });
+      });
+      receiver.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach((done) => {
+      delete process.env.WEBHOOK_RETRY_BASE_MS;
+      delete process.env.WEBHOOK_MAX_ATTEMPTS;
+      for (const suffix of ['.webhooks.json', '.deliveries.jsonl']) {
+        if (fs.existsSync(TEST_EVENT_FILE + suffix)) fs.unlinkSync(TEST_EVENT_FILE + suffix);
+      }
+      receiver.close(() => done());
+    });
+
+    const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    // Poll until `check` returns something truthy
+    async function eventually(check, timeoutMs = 3000) {
+      const start = Date.now();
+      for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    }
+
+    test('Webhooks should support create, read, update and delete', async () => {
+      const created = await request(app).post('/api/webhooks').send({ url: receiverUrl(), events: ['create', 'delete'] });
+      expect(created.status).toBe(201);
+      expect(created.body.webhook.secret).toMatch(/^[0-9a-f]{48}$/);
+      expect(created.body.webhook.active).toBe(true);
+      const id = created.body.webhook.id;
+
+      const list = await request(app).get('/api/webhooks');
+      expect(list.body.webhooks).toHaveLength(1);
+      expect(list.body.webhooks[0].secret).toBeUndefined();
+
+      const patched = await request(app).patch(`/api/webhooks/${id}`).send({ events: ['*'], active: false });
+      expect(patched.body.webhook).toMatchObject({ events: ['*'], active: false });
+      expect((await request(app).get(`/api/webhooks/${id}`)).body.webhook.active).toBe(false);
+
+      expect((await request(app).delete(`/api/webhooks/${id}`)).status).toBe(200);
+      expect((await request(app).get(`/api/webhooks/${id}`)).status).toBe(404);
+      expect((await request(app).delete(`/api/webhooks/${id}`)).status).toBe(404);
+    });
+
+    test('Webhooks should be stored persistently', async () => {
+      await request(app).post('/api/webhooks').send({ url: receiverUrl() });
+
+      const restarted = getFreshApp();
+      const list = await request(restarted).get('/api/webhooks');
+      expect(list.body.webhooks).toHaveLength(1);
+      expect(list.body.webhooks[0].events).toEqual(['*']);
+    });
+
+    test('Invalid webhook settings should be rejected', async () => {
+      expect((await request(app).post('/api/webhooks').send({})).status).toBe(400);
+      expect((await request(app).post('/api/webhooks').send({ url: 'ftp://example.com' })).status).toBe(400);
+      expect((await request(app).post('/api/webhooks').send({ url: receiverUrl(), events: ['explode'] })).status).toBe(400);
+      expect((await request(app).post('/api/webhooks').send({ url: receiverUrl(), secret: 'short' })).status).toBe(400);
+      expect((await request(app).get('/api/webhooks')).body.webhooks).toHaveLength(0);
+    });
+
+    test('Task events should be delivered as signed JSON mirroring the stored event', async () => {
+      const secret = 'a-shared-secret-for-tests';
+      await request(app).post('/api/webhooks').send({ url: receiverUrl(), secret });
+      await request(app).post('/api/tasks').send({ name: 'Hooked task' });
+
+      await eventually(() => received.length === 1);
+      const [{ headers, body }] = received;
+      const stored = (await request(app).get('/api/events')).body.events[0];
+
+      expect(JSON.parse(body)).toEqual(stored);
+      expect(headers['x-webhook-event']).toBe('create');
+      expect(headers['x-webhook-signature']).toBe(
+        'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex')
+      );
+    });
+
+    test('Subscriptions should only get the event types they asked for', async () => {
+      await request(app).post('/api/webhooks').send({ url: receiverUrl(), events: ['delete'] });
+      const created = await request(app).post('/api/tasks').send({ name: 'Short lived' });
+      await request(app).delete(`/api/tasks/${created.body.id}`);
+
+      await eventually(() => received.length === 1);
+      expect(JSON.parse(received[0].body)).toMatchObject({ type: 'delete', id: created.body.id });
+    });
+
+    test('Failed deliveries should be retried with backoff and logged per attempt', async () => {
+      process.env.WEBHOOK_RETRY_BASE_MS = '20';
+      answers = [500, 503];
+      const hook = (await request(app).post('/api/webhooks').send({ url: receiverUrl() })).body.webhook;
+      await request(app).post('/api/tasks').send({ name: 'Flaky receiver' });
+
+      const deliveries = await eventually(async () => {
+        const res = await request(app).get(`/api/webhooks/${hook.id}/deliveries`);
+        return res.body.total === 3 && res.body.deliveries;
+      });
+
+      expect(deliveries.map(d => [d.attempt, d.status, d.statusCode])).toEqual([
+        [3, 'success', 200],
+        [2, 'failed', 503],
+        [1, 'failed', 500]
+      ]);
+      expect(new Set(deliveries.map(d => d.deliveryId)).size).toBe(1);
+      expect(deliveries[1].nextRetryAt).toBeDefined();
+      expect(received.map(r => r.body)).toEqual([received[0].body, received[0].body, received[0].body]);
+    });
+
+    test('Deliveries should stop after WEBHOOK_MAX_ATTEMPTS', async () => {
+      process.env.WEBHOOK_RETRY_BASE_MS = '10';
+      process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+      answers = [500, 500, 500];
+      const hook = (await request(app).post('/api/webhooks').send({ url: receiverUrl() })).body.webhook;
+      await request(app).post('/api/tasks').send({ name: 'Never delivered' });
+
+      await eventually(async () => (await request(app).get(`/api/webhooks/${hook.id}/deliveries`)).body.total === 2);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const res = await request(app).get(`/api/webhooks/${hook.id}/deliveries`);
+
+      expect(res.body.total).toBe(2);
+      expect(res.body.deliveries[0].nextRetryAt).toBeUndefined();
+      expect(received).toHaveLength(2);
+    });
+  });
+
+  // ==================== DATA PERSISTENCE & STATE MANAGEMENT ====================
+  describe('Data Persistence and State Management', () => {
+    test('Tasks should persist between multiple API calls', async () => {
+      // Create a task
+      await request(app).post('/api/tasks').send({ name: 'Persistent Task', priority: false });
+      
+      // Multiple reads should return same data
+      const response1 = await request(app).get('/api/tasks');
+      const response2 = await request(app).get('/api/tasks');
+      const response3 = await request(app).get('/api/tasks');
+      
+      expect(response1.body.tasks).toHaveLength(1);
+      expect(response2.body.tasks).toHaveLength(1);
+      expect(response3.body.tasks).toHaveLength(1);
+      expect(response1.body.tasks[0].name).toBe('Persistent Task');
+    });
+
+    test('Multiple task creations should generate unique IDs', async () => {
+      const task1 = await request(app).post('/api/tasks').send({ name: 'Task 1', priority: false });
+      const task2 = await request(app).post('/api/tasks').send({ name: 'Task 2', priority: false });
+      const task3 = await request(app).post('/api/tasks').send({ name: 'Task 3', priority: false });
+      
+      expect(task1.body.id).not.toBe(task2.body.id);
+      expect(task2.body.id).not.toBe(task3.body.id);
+      expect(task1.body.id).not.toBe(task3.body.id);
+    });
+
+    test('Task list should maintain order based on creation', async () => {
+      const task1 = await request(app).post('/api/tasks').send({ name: 'First Task', priority: false });
+      const task2 = await request(app).post('/api/tasks').send({ name: 'Second Task', priority: false });
+      
+      const tasksResponse = await request(app).get('/api/tasks');
+      expect(tasksResponse.body.tasks).toHaveLength(2);
+      // Tasks should be in creation order (oldest first based on your readProjection logic)
+    });
+  });
+
+  // ==================== IN-MEMORY PROJECTION ====================
+  describe('In-Memory Projection', () => {
+    test('Repeated reads should not re-read the whole event file', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Cached' });
+      await request(app).get('/api/tasks');
+
+      const spy = jest.spyOn(fs, 'readFileSync');
+      try {
+        await request(app).get('/api/tasks');
+        await request(app).get('/metrics');
+        expect(spy).not.toHaveBeenCalledWith(TEST_EVENT_FILE, expect.anything());
+      } finally {
+        spy.mockRestore();
+      }
+    });
+
+    test('Events appended to the file by another writer should be picked up', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Ours' });
+      expect((await request(app).get('/api/tasks')).body.tasks).toHaveLength(1);
+
+      fs.appendFileSync(TEST_EVENT_FILE, JSON.stringify({
+        type: 'create', id: 't_external', name: 'Theirs', createdAt: new Date().toISOString()
+      }) + '\n');
+
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks.map(t => t.name)).toEqual(['Ours', 'Theirs']);
+    });
+
+    test('A half-written trailing line should wait until it is complete', async () => {
+      await request(app).get('/api/tasks');
+      const line = JSON.stringify({ type: 'create', id: 't_slow', name: 'Slow writer', createdAt: new Date().toISOString() });
+
+      fs.appendFileSync(TEST_EVENT_FILE, line.slice(0, 20));
+      expect((await request(app).get('/api/tasks')).body.tasks).toHaveLength(0);
+
+      fs.appendFileSync(TEST_EVENT_FILE, line.slice(20) + '\n');
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks.map(t => t.name)).toEqual(['Slow writer']);
+    });
+
+    test('A replaced or truncated event file should be replayed from scratch', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Old 1' });
+      await request(app).post('/api/tasks').send({ name: 'Old 2' });
+      expect((await request(app).get('/api/tasks')).body.tasks).toHaveLength(2);
+
+      fs.writeFileSync(TEST_EVENT_FILE, JSON.stringify({ type: 'create', id: 't_new', name: 'New' }) + '\n');
+
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks.map(t => t.name)).toEqual(['New']);
+    });
+
+    test('Changing EVENT_FILE should switch to the other log', async () => {
+      const otherFile = path.join(__dirname, '../../test-eventlist-other.txt');
+      fs.writeFileSync(otherFile, JSON.stringify({ type: 'create', id: 't_other', name: 'Other log' }) + '\n');
+      await request(app).post('/api/tasks').send({ name: 'Main log' });
+
+      try {
+        process.env.EVENT_FILE = otherFile;
+        // Accounts live next to the log too
+        signIn();
+        const tasks = (await request(app).get('/api/tasks')).body.tasks;
+        expect(tasks.map(t => t.name)).toEqual(['Other log']);
+      } finally {
+        process.env.EVENT_FILE = TEST_EVENT_FILE;
+        for (const file of [otherFile, `${otherFile}.users.json`, `${otherFile}.sessions.json`]) {
+          fs.rmSync(file, { force: true });
+        }
+      }
+    });
+  });
+
+  // ==================== SNAPSHOTS & COMPACTION ====================
+  describe('Snapshots and Compaction', () => {
+    const rootDir = path.join(__dirname, '../..');
+
+    afterEach(() => {
+      for (const file of fs.readdirSync(rootDir)) {
+        if (file.startsWith('test-eventlist.txt.')) fs.unlinkSync(path.join(rootDir, file));
+      }
+    });
+
+    test('POST /admin/snapshot should write the projection and the offset it covers', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Snap 1' });
+      await request(app).post('/api/tasks').send({ name: 'Snap 2' });
+
+      const response = await request(app).post('/admin/snapshot');
+
+      expect(response.status).toBe(200);
+      expect(response.body.ok).toBe(true);
+      expect(response.body.tasks).toBe(2);
+      expect(response.body.seq).toBe(2);
+      expect(response.body.position.offset).toBe(fs.statSync(TEST_EVENT_FILE).size);
+
+      const snapshot = JSON.parse(fs.readFileSync(`${TEST_EVENT_FILE}.snapshot.json`, 'utf-8'));
+      expect(snapshot.position.offset).toBe(response.body.position.offset);
+      expect(snapshot.tasks.map(t => t.name)).toEqual(['Snap 1', 'Snap 2']);
+    });
+
+    test('Startup should load the snapshot and replay only later events', async () => {
+      const t1 = await request(app).post('/api/tasks').send({ name: 'Before snapshot' });
+      await request(app).post('/admin/snapshot');
+      await request(app).post('/api/tasks').send({ name: 'After snapshot' });
+      await request(app).delete(`/api/tasks/${t1.body.id}`);
+
+      app = getFreshApp();
+      const spy = jest.spyOn(fs, 'readFileSync');
+      try {
+        const tasks = (await request(app).get('/api/tasks')).body.tasks;
+        expect(tasks.map(t => t.name)).toEqual(['After snapshot']);
+        expect(spy).not.toHaveBeenCalledWith(TEST_EVENT_FILE, expect.anything());
+      } finally {
+        spy.mockRestore();
+      }
+    });
+
+    test('A snapshot that no longer matches the log should be ignored', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Stale' });
+      await request(app).post('/admin/snapshot');
+
+      fs.writeFileSync(TEST_EVENT_FILE, JSON.stringify({ type: 'create', id: 't_fresh', name: 'Rewritten' }) + '\n');
+      app = getFreshApp();
+
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks.map(t => t.name)).toEqual(['Rewritten']);
+    });
+
+    test('POST /admin/compact should drop deleted tasks and keep a backup', async () => {
+      const t1 = await request(app).post('/api/tasks').send({ name: 'Gone' });
+      const t2 = await request(app).post('/api/tasks').send({ name: 'Deleted then restored' });
+      await request(app).post('/api/tasks').send({ name: 'Kept' });
+      await request(app).patch(`/api/tasks/${t1.body.id}`).send({ name: 'Gone for good' });
+      await request(app).delete(`/api/tasks/${t1.body.id}`);
+      await request(app).delete(`/api/tasks/${t2.body.id}`);
+      await request(app).post(`/api/tasks/${t2.body.id}/restore`);
+      const original = fs.readFileSync(TEST_EVENT_FILE, 'utf-8');
+
+      const response = await request(app).post('/admin/compact');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        ok: true,
+        eventsBefore: 7,
+        eventsAfter: 4,
+        droppedTasks: 1,
+        backupFile: expect.stringMatching(/^test-eventlist\.txt\.\d+\.bak$/)
+      });
+      expect(fs.readFileSync(path.join(rootDir, response.body.backupFile), 'utf-8')).toBe(original);
+
+      const lines = fs.readFileSync(TEST_EVENT_FILE, 'utf-8').split('\n').filter(Boolean);
+      expect(lines.map(l => JSON.parse(l).id)).not.toContain(t1.body.id);
+
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks.map(t => t.name).sort()).toEqual(['Deleted then restored', 'Kept']);
+      const trash = (await request(app).get('/api/tasks/trash')).body.tasks;
+      expect(trash).toEqual([]);
+    });
+
+    test('Compaction should keep lines it cannot parse', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Valid' });
+      fs.appendFileSync(TEST_EVENT_FILE, '{"type":"create","id":\n');
+
+      await request(app).post('/admin/compact');
+
+      const lines = fs.readFileSync(TEST_EVENT_FILE, 'utf-8').split('\n').filter(Boolean);
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toBe('{"type":"create","id":');
+    });
+  });
+
+  // ==================== LOG VERIFICATION & REPAIR ====================
+  describe('Log Verification and Repair', () => {
+    const rootDir = path.join(__dirname, '../..');
+
+    afterEach(() => {
+      for (const file of fs.readdirSync(rootDir)) {
+        if (file.startsWith('test-eventlist.txt.')) fs.unlinkSync(path.join(rootDir, file));
+      }
+    });
+
+    function logLines() {
+      return fs.readFileSync(TEST_EVENT_FILE, 'utf-8').split('\n').filter(Boolean);
+    }
+
+    test('Appended events should carry consecutive sequence numbers and checksums', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Numbered' });
+      await request(app).post(`/api/tasks/${created.body.id}/complete`);
+
+      const events = logLines().map(l => JSON.parse(l));
+      expect(events.map(e => e.seq)).toEqual([1, 2]);
+      expect(events[0].checksum).toMatch(/^[0-9a-f]{16}$/);
+      expect(events[1].checksum).not.toBe(events[0].checksum);
+    });
+
+    test('Sequence numbers should continue after events written without them', async () => {
+      fs.writeFileSync(TEST_EVENT_FILE, JSON.stringify({ type: 'create', id: 't_legacy', name: 'Legacy' }) + '\n');
+
+      await request(app).post('/api/tasks').send({ name: 'New' });
+
+      expect(JSON.parse(logLines()[1]).seq).toBe(2);
+      const verify = await request(app).get('/admin/log/verify');
+      expect(verify.body.valid).toBe(true);
+    });
+
+    test('GET /admin/log/verify should report a clean log as valid', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Fine' });
+      await request(app).delete(`/api/tasks/${created.body.id}`);
+
+      const response = await request(app).get('/admin/log/verify');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(expect.objectContaining({
+        ok: true,
+        valid: true,
+        events: 2,
+        lastSeq: 2,
+        badLines: [],
+        gaps: [],
+        unknownIds: []
+      }));
+    });
+
+    test('GET /admin/log/verify should list bad lines, gaps and unknown ids', async () => {
+      await request(app).post('/api/tasks').send({ name: 'One' });
+      await request(app).post('/api/tasks').send({ name: 'Two' });
+      const lines = logLines();
+      const tampered = JSON.parse(lines[1]);
+      tampered.name = 'Hand edited';
+      const orphan = { type: 'delete', id: 't_ghost', deletedAt: new Date().toISOString(), seq: 5 };
+      fs.writeFileSync(TEST_EVENT_FILE, [
+        lines[0],
+        JSON.stringify(tampered),
+        '{"type":"create","id":"t_torn"',
+        JSON.stringify(orphan)
+      ].join('\n') + '\n');
+
+      const response = await request(app).get('/admin/log/verify');
+
+      expect(response.body.valid).toBe(false);
+      expect(response.body.badLines.map(b => [b.line, b.reason])).toEqual([
+        [2, 'checksum mismatch'],
+        [3, 'invalid JSON']
+      ]);
+      expect(response.body.gaps).toEqual([{ line: 4, expected: 2, found: 5 }]);
+      expect(response.body.unknownIds).toEqual([{ line: 4, seq: 5, type: 'delete', id: 't_ghost' }]);
+    });
+
+    test('A torn last line should not swallow the next appended event', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Before crash' });
+      fs.appendFileSync(TEST_EVENT_FILE, '{"type":"create","id":"t_to');
+
+      await request(app).post('/api/tasks').send({ name: 'After crash' });
+
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks.map(t => t.name)).toEqual(['Before crash', 'After crash']);
+      const verify = (await request(app).get('/admin/log/verify')).body;
+      expect(verify.badLines.map(b => b.line)).toEqual([2]);
+    });
+
+    test('Lines that parse but are not events should be skipped, not break writes', async () => {
+      const created = await request(app).post('/api/tasks').send({ name: 'Existing' });
+      fs.appendFileSync(TEST_EVENT_FILE, [
+        JSON.stringify({ id: created.body.id, name: 'x' }),
+        'null',
+        '[]'
+      ].join('\n') + '\n');
+
+      const next = await request(app).post('/api/tasks').send({ name: 'Still works' });
+
+      expect(next.status).toBe(201);
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks.map(t => t.name)).toEqual(['Existing', 'Still works']);
+      const verify = (await request(app).get('/admin/log/verify')).body;
+      expect(verify.badLines.map(b => [b.line, b.reason])).toEqual([
+        [2, 'missing type or id'],
+        [3, 'missing type or id'],
+        [4, 'missing type or id']
+      ]);
+    });
+
+    test('GET /health should report DEGRADED when verification fails', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Healthy' });
+      expect((await request(app).get('/health')).body.status).toBe('OK');
+
+      fs.appendFileSync(TEST_EVENT_FILE, 'not json at all\n');
+
+      const response = await request(app).get('/health');
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('DEGRADED');
+      expect(response.body.log).toEqual({ badLines: 1, gaps: 0, unknownIds: 0 });
+    });
+
+    test('GET /health should check only what was appended since the last call', async () => {
+      await request(app).post('/api/tasks').send({ name: 'First' });
+      expect((await request(app).get('/health')).body.status).toBe('OK');
+      await request(app).post('/api/tasks').send({ name: 'Second' });
+      const readFileSync = jest.spyOn(fs, 'readFileSync');
+
+      try {
+        expect((await request(app).get('/health')).body.status).toBe('OK');
+        expect(readFileSync.mock.calls.filter(([file]) => file === TEST_EVENT_FILE)).toEqual([]);
+      } finally {
+        readFileSync.mockRestore();
+      }
+    });
+
+    test('quarantineBadLines should move bad lines out and leave a valid log', async () => {
+      await request(app).post('/api/tasks').send({ name: 'Before' });
+      fs.appendFileSync(TEST_EVENT_FILE, '{"half":\n');
+      await request(app).post('/api/tasks').send({ name: 'After' });
+
+      const result = app.quarantineBadLines();
+
+      expect(result.quarantined).toBe(1);
+      const quarantined = fs.readFileSync(`${TEST_EVENT_FILE}.quarantine`, 'utf-8').split('\n').filter(Boolean);
+      expect(JSON.parse(quarantined[0])).toEqual(expect.objectContaining({
+        line: 2, reason: 'invalid JSON', raw: '{"half":'
+      }));
+      expect(fs.existsSync(result.backupFile)).toBe(true);
+
+      expect(logLines()).toHaveLength(2);
+      expect((await request(app).get('/admin/log/verify')).body.valid).toBe(true);
+      expect((await request(app).get('/health')).body.status).toBe('OK');
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks.map(t => t.name)).toEqual(['Before', 'After']);
+    });
+  });
+
+  // ==================== FRONTEND & STATIC FILES ====================
+  describe('Frontend and Static File Serving', () => {
+    test('GET / should serve index.html with correct content', async () => {
+      const response = await request(app).get('/');
+      
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.text).toContain('Task Tracker v1.2');
+      expect(response.text).toContain('Create Task');
+      expect(response.text).toContain('Dashboard');
+    });
+
+    test('GET /styles.css should serve CSS with correct headers', async () => {
+      const response = await request(app).get('/styles.css');
+      
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/css');
+      expect(response.text).toContain('var(--bg)'); // Check for CSS variables
+    });
+
+    test('GET /main.js should serve JavaScript with correct headers', async () => {
+      const response = await request(app).get('/main.js');
+      
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('javascript');
+      expect(response.text).toContain('function'); // Check for JS code
+    });
+
+    test('GET /login.html should serve the login screen without a session', async () => {
+      const response = await supertest(app).get('/login.html');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.text).toContain('id="loginForm"');
     });
 
     test('Non-existent static files should serve index.html (SPA behavior)', async () => {
@@ -450,7 +2817,7 @@ describe('Task Tracker API - Version 1.2 - Enhanced Tests', () => {
       const tasksResponse = await request(app).get('/api/tasks');
       const task = tasksResponse.body.tasks[0];
       expect(task.name).toBe('Minimal Task');
-      expect(task.priority).toBe(false); // Default value
+      expect(task.priority).toBe('normal'); // Default value
       expect(task.date).toBe(''); // Default value
       expect(task.time).toBe(''); // Default value
       expect(task.description).toBe(''); // Default value
@@ -18,9 +18,9 @@ beforeEach(() => {
 });
 
 afterAll(() => {
-  // Final cleanup
+  // Final cleanup, including the accounts kept next to the log
   const testEventFile = path.join(__dirname, '../../test-eventlist.txt');
-  if (fs.existsSync(testEventFile)) {
-    fs.unlinkSync(testEventFile);
+  for (const file of [testEventFile, `${testEventFile}.users.json`, `${testEventFile}.sessions.json`]) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
   }
 });
@@ -0,0 +1,397 @@
+const { request, signIn } = require('./auth-helper');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+// Separate names from server.test.js so the suites can run in parallel
+const TEST_EVENT_FILE = path.join(ROOT_DIR, 'test-storage-eventlist.txt');
+const TEST_SQLITE_FILE = path.join(ROOT_DIR, 'test-storage-eventlist.db');
+
+function cleanup() {
+  for (const file of fs.readdirSync(ROOT_DIR)) {
+    if (file.startsWith('test-storage-eventlist.')) fs.unlinkSync(path.join(ROOT_DIR, file));
+  }
+}
+
+function line(evt) {
+  return JSON.stringify(evt);
+}
+
+const adapters = [
+  ['jsonl', () => require('../storage/jsonl').createJsonlStorage({
+    file: TEST_EVENT_FILE,
+    snapshotFile: `${TEST_EVENT_FILE}.snapshot.json`
+  })],
+  ['sqlite', () => require('../storage/sqlite').createSqliteStorage({ file: TEST_SQLITE_FILE })]
+];
+
+// ==================== STORAGE ADAPTER CONTRACT ====================
+describe.each(adapters)('Storage adapter contract - %s', (name, openStorage) => {
+  let storage;
+
+  beforeEach(() => {
+    cleanup();
+    storage = openStorage();
+  });
+
+  afterEach(() => {
+    storage.close();
+    cleanup();
+  });
+
+  test('readSince(null) on an empty log should return no lines', () => {
+    const result = storage.readSince(null);
+
+    expect(result.lines).toEqual([]);
+    expect(result.position).toBeDefined();
+  });
+
+  test('readSince should return only lines appended after the given position', () => {
+    storage.append(line({ type: 'create', id: 't_1' }), null);
+    const first = storage.readSince(null);
+    expect(first.lines).toEqual([line({ type: 'create', id: 't_1' })]);
+
+    storage.append(line({ type: 'create', id: 't_2' }), first.position);
+    const second = storage.readSince(first.position);
+
+    expect(second.reset).toBe(false);
+    expect(second.lines).toEqual([line({ type: 'create', id: 't_2' })]);
+    expect(storage.readSince(second.position).lines).toEqual([]);
+  });
+
+  test('append should return the next position only when nobody else wrote in between', () => {
+    const { position } = storage.readSince(null);
+    const next = storage.append(line({ type: 'create', id: 't_1' }), position);
+    expect(next).not.toBeNull();
+    expect(storage.readSince(next).lines).toEqual([]);
+
+    const other = openStorage();
+    try {
+      other.append(line({ type: 'create', id: 't_other' }), null);
+    } finally {
+      other.close();
+    }
+
+    expect(storage.append(line({ type: 'create', id: 't_2' }), next)).toBeNull();
+    expect(storage.readSince(next).lines.map(l => JSON.parse(l).id)).toEqual(['t_other', 't_2']);
+  });
+
+  test('readAll should return every record in order with a reference', () => {
+    storage.append(line({ type: 'create', id: 't_1' }), null);
+    storage.append(line({ type: 'delete', id: 't_1' }), null);
+
+    const records = storage.readAll();
+
+    expect(records.map(r => JSON.parse(r.raw).type)).toEqual(['create', 'delete']);
+    expect(records[0].ref).toBeLessThan(records[1].ref);
+  });
+
+  test('rewrite should replace the log, keep a backup and make readers start over', () => {
+    storage.append(line({ type: 'create', id: 't_1' }), null);
+    storage.append(line({ type: 'create', id: 't_2' }), null);
+    const { position } = storage.readSince(null);
+
+    const backup = storage.rewrite([line({ type: 'create', id: 't_2' })]);
+
+    expect(fs.existsSync(backup)).toBe(true);
+    const after = storage.readSince(position);
+    expect(after.reset).toBe(true);
+    expect(after.lines).toEqual([line({ type: 'create', id: 't_2' })]);
+  });
+
+  test('snapshots should round-trip and be dropped once the log is rewritten', () => {
+    storage.append(line({ type: 'create', id: 't_1' }), null);
+    const { position } = storage.readSince(null);
+
+    storage.saveSnapshot({ version: 1, position, seq: 1, tasks: [{ id: 't_1' }] });
+    const loaded = storage.loadSnapshot();
+    expect(loaded.seq).toBe(1);
+    expect(loaded.tasks).toEqual([{ id: 't_1' }]);
+    expect(storage.readSince(loaded.position).lines).toEqual([]);
+
+    storage.rewrite([]);
+    expect(storage.loadSnapshot()).toBeNull();
+  });
+
+  test('quarantine should keep the records it is given', () => {
+    const where = storage.quarantine([{ line: 3, reason: 'invalid JSON', raw: '{oops' }]);
+
+    expect(typeof where).toBe('string');
+    expect(storage.readAll()).toEqual([]);
+  });
+});
+
+// ==================== TASK API ON EACH BACKEND ====================
+describe.each(['jsonl', 'sqlite'])('Task API on %s storage', backend => {
+  let app;
+
+  function freshApp() {
+    jest.resetModules();
+    return require('../../server');
+  }
+
+  function closeStorage() {
+    require('../storage').getStorage().close();
+  }
+
+  beforeEach(() => {
+    cleanup();
+    process.env.STORAGE_BACKEND = backend;
+    process.env.EVENT_FILE = TEST_EVENT_FILE;
+    process.env.SQLITE_FILE = TEST_SQLITE_FILE;
+    signIn();
+    app = freshApp();
+  });
+
+  afterEach(() => {
+    closeStorage();
+    delete process.env.STORAGE_BACKEND;
+    delete process.env.SQLITE_FILE;
+    cleanup();
+  });
+
+  test('Task lifecycle should project the same way', async () => {
+    const t1 = await request(app).post('/api/tasks').send({ name: 'One', date: '2024-01-01', time: '10:00' });
+    const t2 = await request(app).post('/api/tasks').send({ name: 'Two' });
+    await request(app).patch(`/api/tasks/${t1.body.id}`).send({ name: 'One edited' });
+    await request(app).post(`/api/tasks/${t1.body.id}/complete`);
+    await request(app).delete(`/api/tasks/${t2.body.id}`);
+
+    const tasks = (await request(app).get('/api/tasks')).body.tasks;
+    expect(tasks).toHaveLength(1);
+    expect(tasks[0]).toEqual(expect.objectContaining({ name: 'One edited', status: 'completed', date: '2024-01-01' }));
+
+    await request(app).post(`/api/tasks/${t2.body.id}/restore`);
+    expect((await request(app).get('/api/tasks')).body.tasks).toHaveLength(2);
+
+    const history = (await request(app).get(`/api/tasks/${t1.body.id}/history`)).body.events;
+    expect(history.map(e => e.type)).toEqual(['create', 'update', 'complete']);
+    expect(history.map(e => e.seq)).toEqual([1, 3, 4]);
+  });
+
+  test('Verification and compaction should work the same way', async () => {
+    const gone = await request(app).post('/api/tasks').send({ name: 'Gone' });
+    await request(app).post('/api/tasks').send({ name: 'Kept' });
+    await request(app).delete(`/api/tasks/${gone.body.id}`);
+
+    expect((await request(app).get('/admin/log/verify')).body.valid).toBe(true);
+
+    const compact = await request(app).post('/admin/compact');
+    expect(compact.body).toEqual(expect.objectContaining({ ok: true, eventsBefore: 3, eventsAfter: 1, droppedTasks: 1 }));
+
+    const verify = (await request(app).get('/admin/log/verify')).body;
+    expect(verify.valid).toBe(true);
+    expect(verify.lastSeq).toBe(1);
+    expect((await request(app).get('/api/tasks')).body.tasks.map(t => t.name)).toEqual(['Kept']);
+  });
+
+  test('A restart should pick up the snapshot and the events after it', async () => {
+    await request(app).post('/api/tasks').send({ name: 'Before snapshot' });
+    await request(app).post('/admin/snapshot');
+    await request(app).post('/api/tasks').send({ name: 'After snapshot' });
+    closeStorage();
+
+    app = freshApp();
+
+    const tasks = (await request(app).get('/api/tasks')).body.tasks;
+    expect(tasks.map(t => t.name)).toEqual(['Before snapshot', 'After snapshot']);
+    const created = await request(app).post('/api/tasks').send({ name: 'Third' });
+    const history = (await request(app).get(`/api/tasks/${created.body.id}/history`)).body.events;
+    expect(history[0].seq).toBe(3);
+  });
+});
+
+// ==================== CONCURRENT WRITERS ====================
+describe.each(['jsonl', 'sqlite'])('Concurrent writers on %s storage', backend => {
+  const WRITERS = 3;
+  const TASKS_PER_WRITER = 20;
+  // Each writer process creates tasks through its own copy of the app
+  const WRITER_SCRIPT = `
+    const request = require('supertest');
+    const app = require(${JSON.stringify(path.join(ROOT_DIR, 'server'))});
+    (async () => {
+      for (let i = 0; i < ${TASKS_PER_WRITER}; i++) {
+        const res = await request(app)
+          .post('/api/tasks')
+          .set('Authorization', 'Bearer ' + process.env.TEST_TOKEN)
+          .send({ name: 'writer ' + process.argv[1] + ' #' + i });
+        if (res.status !== 201) {
+          console.error(JSON.stringify(res.body));
+          process.exit(1);
+        }
+      }
+      process.exit(0);
+    })();
+  `;
+
+  function runWriter(n) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ['-e', WRITER_SCRIPT, String(n)], {
+        cwd: ROOT_DIR,
+        env: { ...process.env, NODE_ENV: 'test', TEST_TOKEN: token },
+        stdio: ['ignore', 'ignore', 'inherit']
+      });
+      child.on('error', reject);
+      child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`writer ${n} exited with ${code}`))));
+    });
+  }
+
+  let token;
+
+  beforeEach(() => {
+    cleanup();
+    process.env.STORAGE_BACKEND = backend;
+    process.env.EVENT_FILE = TEST_EVENT_FILE;
+    process.env.SQLITE_FILE = TEST_SQLITE_FILE;
+    ({ token } = signIn());
+  });
+
+  afterEach(() => {
+    delete process.env.STORAGE_BACKEND;
+    delete process.env.SQLITE_FILE;
+    cleanup();
+  });
+
+  test('Events from several processes should never interleave or share ids and sequence numbers', async () => {
+    const app = require('../../server');
+    try {
+      await request(app).post('/api/tasks').send({ name: 'from the test process' });
+
+      await Promise.all(Array.from({ length: WRITERS }, (_, n) => runWriter(n)));
+
+      const total = WRITERS * TASKS_PER_WRITER + 1;
+      const verify = (await request(app).get('/admin/log/verify')).body;
+      expect(verify.valid).toBe(true);
+      expect(verify.events).toBe(total);
+      expect(verify.lastSeq).toBe(total);
+
+      const events = (await request(app).get('/api/events?limit=500')).body.events;
+      expect(new Set(events.map(e => e.id)).size).toBe(total);
+
+      // This process sees everything the others wrote
+      const tasks = (await request(app).get('/api/tasks')).body.tasks;
+      expect(tasks).toHaveLength(total);
+    } finally {
+      require('../storage').getStorage().close();
+    }
+  }, 60000);
+});
+
+// ==================== JSONL WRITE LOCK ====================
+describe('JSONL write lock', () => {
+  const lockFile = `${TEST_EVENT_FILE}.lock`;
+
+  beforeEach(cleanup);
+  afterEach(() => {
+    delete process.env.LOCK_TIMEOUT_MS;
+    cleanup();
+  });
+
+  function openJsonl() {
+    return require('../storage/jsonl').createJsonlStorage({
+      file: TEST_EVENT_FILE,
+      snapshotFile: `${TEST_EVENT_FILE}.snapshot.json`
+    });
+  }
+
+  test('withWriteLock should hold the lock file only while running', () => {
+    const storage = openJsonl();
+
+    const seen = storage.withWriteLock(() => storage.withWriteLock(() => fs.existsSync(lockFile)));
+
+    expect(seen).toBe(true);
+    expect(fs.existsSync(lockFile)).toBe(false);
+  });
+
+  test('A lock held by another writer should time out', () => {
+    process.env.LOCK_TIMEOUT_MS = '50';
+    const storage = openJsonl();
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: 1 }));
+
+    expect(() => storage.withWriteLock(() => {})).toThrow('Timed out waiting for event log lock');
+  });
+
+  test('A stale lock left by a crashed writer should be taken over', () => {
+    const storage = openJsonl();
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: 1 }));
+    const longAgo = new Date(Date.now() - 60000);
+    fs.utimesSync(lockFile, longAgo, longAgo);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      expect(storage.withWriteLock(() => 'written')).toBe('written');
+    } finally {
+      console.error.mockRestore();
+    }
+  });
+
+  test('A writer that lost its stale lock should leave the new holder\'s lock alone', () => {
+    const storage = openJsonl();
+    const next = JSON.stringify({ pid: 1, token: 'next-writer' });
+
+    storage.withWriteLock(() => fs.writeFileSync(lockFile, next));
+
+    expect(fs.readFileSync(lockFile, 'utf-8')).toBe(next);
+  });
+
+  test('A stale lock another waiter already took over should be put back, not removed', () => {
+    process.env.LOCK_TIMEOUT_MS = '50';
+    const storage = openJsonl();
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: 1 }));
+    const longAgo = new Date(Date.now() - 60000);
+    fs.utimesSync(lockFile, longAgo, longAgo);
+    // The other waiter replaces the stale lock just before we rename it
+    const fresh = JSON.stringify({ pid: 2, token: 'other-waiter' });
+    const rename = fs.renameSync;
+    const spy = jest.spyOn(fs, 'renameSync').mockImplementationOnce((from, to) => {
+      fs.writeFileSync(from, fresh);
+      rename(from, to);
+    });
+
+    try {
+      expect(() => storage.withWriteLock(() => {})).toThrow('Timed out waiting for event log lock');
+    } finally {
+      spy.mockRestore();
+    }
+    expect(fs.readFileSync(lockFile, 'utf-8')).toBe(fresh);
+    expect(fs.readdirSync(ROOT_DIR).filter(f => f.endsWith('.stale'))).toEqual([]);
+  });
+});
+
+// ==================== MIGRATION ====================
+describe('JSONL to SQLite migration', () => {
+  beforeEach(cleanup);
+  afterEach(() => {
+    delete process.env.STORAGE_BACKEND;
+    delete process.env.SQLITE_FILE;
+    cleanup();
+  });
+
+  test('migrateJsonlToSqlite should import valid lines and serve the same tasks', async () => {
+    process.env.EVENT_FILE = TEST_EVENT_FILE;
+    signIn();
+    let app = require('../../server');
+    const t1 = await request(app).post('/api/tasks').send({ name: 'Migrated' });
+    await request(app).post('/api/tasks').send({ name: 'Also migrated' });
+    await request(app).post(`/api/tasks/${t1.body.id}/complete`);
+    fs.appendFileSync(TEST_EVENT_FILE, 'garbage\n');
+    const before = (await request(app).get('/api/tasks')).body.tasks;
+
+    const { migrateJsonlToSqlite } = require('../storage');
+    const result = migrateJsonlToSqlite(TEST_EVENT_FILE, TEST_SQLITE_FILE);
+    expect(result).toEqual({ imported: 3, skipped: [4] });
+    expect(() => migrateJsonlToSqlite(TEST_EVENT_FILE, TEST_SQLITE_FILE)).toThrow('already contains events');
+
+    jest.resetModules();
+    process.env.STORAGE_BACKEND = 'sqlite';
+    process.env.SQLITE_FILE = TEST_SQLITE_FILE;
+    app = require('../../server');
+    try {
+      const after = (await request(app).get('/api/tasks')).body.tasks;
+      expect(after).toEqual(before);
+    } finally {
+      require('../storage').getStorage().close();
+    }
+  });
+});
@@ -0,0 +1,80 @@
+const { TASK_FIELDS, validateTask, validateChecklistItem, validateComment } = require('../../public/task-schema');
+
+describe('Task Schema', () => {
+  test('A valid payload should come back normalised with no errors', () => {
+    const { value, errors } = validateTask({
+      name: '  Deploy  ',
+      date: '2026-02-28',
+      time: '07:05',
+      timezone: 'Europe/Berlin',
+      description: '  kept as typed  ',
+      priority: 'High',
+      recurrence: 'weekly'
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      name: 'Deploy',
+      date: '2026-02-28',
+      time: '07:05',
+      timezone: 'Europe/Berlin',
+      description: '  kept as typed  ',
+      priority: 'high',
+      recurrence: 'weekly'
+    });
+  });
+
+  test('Dates and times should be real calendar dates and 24-hour times', () => {
+    const fields = body => validateTask({ name: 'x', ...body }).errors.map(e => e.field);
+
+    expect(fields({ date: '2024-02-29' })).toEqual([]);
+    expect(fields({ date: '2026-02-29' })).toEqual(['date']);
+    expect(fields({ date: '01/02/2026' })).toEqual(['date']);
+    expect(fields({ time: '24:00' })).toEqual(['time']);
+    expect(fields({ time: '7:30' })).toEqual(['time']);
+    expect(fields({ date: '', time: '' })).toEqual([]);
+  });
+
+  test('partial should only check the fields present', () => {
+    expect(validateTask({}, { partial: true }).errors).toEqual([]);
+    expect(validateTask({ name: ' ' }, { partial: true }).errors).toEqual([{ field: 'name', message: 'Name is required.' }]);
+  });
+
+  test('Bodies that are not objects should be rejected as a whole', () => {
+    expect(validateTask(['name']).errors).toEqual([{ field: null, message: 'Request body must be a JSON object.' }]);
+    expect(validateTask(null).errors).toHaveLength(1);
+  });
+
+  test('Tags should be normalised, de-duplicated and limited', () => {
+    expect(validateTask({ name: 'x', tags: [' Home  Office', 'home office', 'Urgent', ''] }).value.tags).toEqual([
+      'home office',
+      'urgent'
+    ]);
+    const message = tags => validateTask({ name: 'x', tags }).errors.map(e => e.message);
+    expect(message('urgent')).toEqual(['Tags must be a list.']);
+    expect(message([1])).toEqual(['Tags must be a list of strings.']);
+    expect(message(['a,b'])).toEqual(['Tags cannot contain commas.']);
+    expect(message(['x'.repeat(33)])).toEqual(['Each tag must be at most 32 characters.']);
+    expect(message(Array.from({ length: 21 }, (_, i) => `t${i}`))).toEqual(['Tags can have at most 20 entries.']);
+  });
+
+  test('Checklist items should need text and accept nothing else', () => {
+    expect(validateChecklistItem({ text: ' Pack ', done: true })).toEqual({ value: { text: 'Pack', done: true }, errors: [] });
+    expect(validateChecklistItem({ text: 'x'.repeat(501) }).errors.map(e => e.field)).toEqual(['text']);
+    expect(validateChecklistItem({ text: 'Pack', name: 'x' }).errors.map(e => e.field)).toEqual(['name']);
+  });
+
+  test('Comments should need text and may name a parent', () => {
+    expect(validateComment({ text: ' Looks good ', parentId: ' c_1 ' })).toEqual({
+      value: { text: 'Looks good', parentId: 'c_1' },
+      errors: []
+    });
+    expect(validateComment({ text: '   ' }).errors).toEqual([{ field: 'text', message: 'Text is required.' }]);
+    expect(validateComment({ text: 'x'.repeat(5001) }).errors.map(e => e.field)).toEqual(['text']);
+  });
+
+  test('Length limits should be declared for free-text fields', () => {
+    expect(TASK_FIELDS.name.maxLength).toBe(1000);
+    expect(TASK_FIELDS.description.maxLength).toBe(10000);
+  });
+});
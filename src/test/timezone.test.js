@@ -0,0 +1,37 @@
+const { defaultTimezone, zonedTimeToUtc } = require('../timezone');
+const { isTimezone } = require('../../public/task-schema');
+
+const iso = ts => new Date(ts).toISOString();
+
+describe('Time Zone Helpers', () => {
+  afterEach(() => {
+    delete process.env.DEFAULT_TIMEZONE;
+  });
+
+  test('zonedTimeToUtc should convert wall-clock time in a zone to UTC', () => {
+    expect(iso(zonedTimeToUtc('2026-07-01', '09:00', 'Europe/Berlin'))).toBe('2026-07-01T07:00:00.000Z');
+    expect(iso(zonedTimeToUtc('2026-01-01', '09:00', 'Europe/Berlin'))).toBe('2026-01-01T08:00:00.000Z');
+    expect(iso(zonedTimeToUtc('2026-01-01', '00:00', 'Asia/Kolkata'))).toBe('2025-12-31T18:30:00.000Z');
+    expect(iso(zonedTimeToUtc('2026-01-01', '00:00', 'UTC'))).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  test('Times skipped by a DST change should move an hour later', () => {
+    // 02:30 doesn't exist on these days; it reads as 03:30 summer time
+    expect(iso(zonedTimeToUtc('2026-03-29', '02:30', 'Europe/Berlin'))).toBe('2026-03-29T01:30:00.000Z');
+    expect(iso(zonedTimeToUtc('2026-03-08', '02:30', 'America/New_York'))).toBe('2026-03-08T07:30:00.000Z');
+  });
+
+  test('Times repeated by a DST change should resolve to the first one', () => {
+    expect(iso(zonedTimeToUtc('2026-10-25', '02:30', 'Europe/Berlin'))).toBe('2026-10-25T00:30:00.000Z');
+    expect(iso(zonedTimeToUtc('2026-11-01', '01:30', 'America/New_York'))).toBe('2026-11-01T05:30:00.000Z');
+  });
+
+  test('isTimezone and defaultTimezone', () => {
+    expect(isTimezone('Australia/Sydney')).toBe(true);
+    expect(isTimezone('Mars/Olympus_Mons')).toBe(false);
+    expect(isTimezone('')).toBe(false);
+
+    process.env.DEFAULT_TIMEZONE = 'Europe/Lisbon';
+    expect(defaultTimezone()).toBe('Europe/Lisbon');
+  });
+});
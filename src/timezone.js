@@ -0,0 +1,60 @@
+/*
+  IANA time zone helpers, built on Intl so no zone database ships with us.
+  Tasks keep their date and time as wall-clock strings in the zone they
+  were created in; dueAt is the UTC instant those strings mean there.
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cached formatters, one per zone; creating them is the slow part
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Zone for tasks that don't name one: DEFAULT_TIMEZONE, else the server's own
+function defaultTimezone() {
+  return process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// How far ahead of UTC the zone's clocks are at instant `ts`, in ms
+function zoneOffset(ts, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(ts))) parts[type] = Number(value);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+// The instant (ms) at which the zone's clocks show `date` `time`. A time
+// that happens twice when clocks go back resolves to the first one; a time
+// skipped when they go forward to the same clock time an hour later.
+function zonedTimeToUtc(date, time, timeZone) {
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mm] = (time || '00:00').split(':').map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh || 0, mm || 0);
+
+  // Zones change offset at most once around any given day
+  const before = zoneOffset(wall - DAY_MS, timeZone);
+  const after = zoneOffset(wall + DAY_MS, timeZone);
+  const candidates = [wall - before, wall - after]
+    .filter(ts => ts + zoneOffset(ts, timeZone) === wall);
+  return candidates.length ? Math.min(...candidates) : wall - before;
+}
+
+module.exports = {
+  defaultTimezone,
+  zonedTimeToUtc
+};
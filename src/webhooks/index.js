@@ -0,0 +1,126 @@
+/*
+  Outgoing webhooks for task events.
+  - Subscriptions pick event types (or "*") and get every matching event
+    this process writes, as the JSON line that went into the log.
+  - Each request is signed: X-Webhook-Signature is "sha256=" plus the
+    hex HMAC-SHA256 of the raw body under the subscription's secret.
+  - Failed attempts (network error, timeout, non-2xx) are retried with
+    exponential backoff: WEBHOOK_RETRY_BASE_MS, doubled each time, up to
+    WEBHOOK_MAX_ATTEMPTS attempts. Retries are timers in this process, so
+    the ones pending at shutdown are lost (the delivery log shows them).
+  - Every attempt is appended to the delivery log.
+*/
+
+const crypto = require('crypto');
+const { getEventFile } = require('../storage');
+const { createWebhookStore } = require('./store');
+
+// Next to the event log unless WEBHOOK_FILE / WEBHOOK_DELIVERY_FILE say otherwise
+function getWebhookFile() {
+  return process.env.WEBHOOK_FILE || `${getEventFile()}.webhooks.json`;
+}
+
+function getDeliveryFile() {
+  return process.env.WEBHOOK_DELIVERY_FILE || `${getEventFile()}.deliveries.jsonl`;
+}
+
+function getWebhookStore() {
+  return createWebhookStore({ file: getWebhookFile(), deliveryFile: getDeliveryFile() });
+}
+
+function retryPolicy() {
+  return {
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5),
+    retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS || 1000),
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 5000)
+  };
+}
+
+function signPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Whether a subscription wants this event
+function wantsEvent(hook, evt) {
+  return hook.active && (hook.events.includes('*') || hook.events.includes(evt.type));
+}
+
+// One attempt; resolves with the delivery log entry it wrote
+async function attemptDelivery(store, hook, delivery, attempt) {
+  const { maxAttempts, retryBaseMs, timeoutMs } = retryPolicy();
+  const entry = {
+    deliveryId: delivery.id,
+    webhookId: hook.id,
+    seq: delivery.evt.seq,
+    type: delivery.evt.type,
+    attempt,
+    at: new Date().toISOString()
+  };
+
+  try {
+    const res = await fetch(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'task-tracker-webhooks',
+        'X-Webhook-Id': hook.id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.evt.type,
+        'X-Webhook-Signature': signPayload(hook.secret, delivery.body)
+      },
+      body: delivery.body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    entry.statusCode = res.status;
+    entry.status = res.ok ? 'success' : 'failed';
+    if (!res.ok) entry.error = `HTTP ${res.status}`;
+  } catch (e) {
+    entry.status = 'failed';
+    entry.error = e.message;
+  }
+
+  if (entry.status === 'failed' && attempt < maxAttempts) {
+    const delay = retryBaseMs * 2 ** (attempt - 1);
+    entry.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    setTimeout(() => retryDelivery(hook.id, delivery, attempt + 1), delay).unref();
+  }
+  store.logDelivery(entry);
+  return entry;
+}
+
+// Retries go to the subscription as it is by then; none if it was deleted
+// or switched off in the meantime
+function retryDelivery(webhookId, delivery, attempt) {
+  const store = getWebhookStore();
+  const hook = store.list().find(h => h.id === webhookId);
+  if (!hook || !hook.active) return;
+  attemptDelivery(store, hook, delivery, attempt).catch(e => {
+    console.error(`Webhook ${webhookId} delivery error:`, e);
+  });
+}
+
+// Send a freshly written event to every subscription that wants it. Doesn't
+// wait for the requests; returns the deliveries started.
+function dispatchEvent(evt) {
+  const store = getWebhookStore();
+  const hooks = store.list().filter(hook => wantsEvent(hook, evt));
+  const body = JSON.stringify(evt);
+
+  return hooks.map(hook => {
+    const delivery = { id: randomId('d'), evt, body };
+    attemptDelivery(store, hook, delivery, 1).catch(e => {
+      console.error(`Webhook ${hook.id} delivery error:`, e);
+    });
+    return { webhookId: hook.id, deliveryId: delivery.id };
+  });
+}
+
+module.exports = {
+  getWebhookStore,
+  randomId,
+  dispatchEvent
+};
@@ -0,0 +1,43 @@
+/*
+  Webhook subscriptions and their delivery log, kept next to the event log.
+  - Subscriptions: one JSON file, replaced atomically on every change.
+  - Deliveries: one JSON line per attempt, appended.
+*/
+
+const fs = require('fs');
+const { writeAtomic, readJson } = require('../json-file');
+
+function createWebhookStore({ file, deliveryFile }) {
+  return {
+    // All subscriptions, in creation order
+    list() {
+      return readJson(file, []);
+    },
+
+    save(hooks) {
+      writeAtomic(file, JSON.stringify(hooks, null, 2));
+    },
+
+    logDelivery(entry) {
+      fs.appendFileSync(deliveryFile, JSON.stringify(entry) + '\n', { encoding: 'utf-8' });
+    },
+
+    // Attempts for one subscription, oldest first
+    deliveries(webhookId) {
+      if (!fs.existsSync(deliveryFile)) return [];
+      const entries = [];
+      for (const line of fs.readFileSync(deliveryFile, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          if (entry.webhookId === webhookId) entries.push(entry);
+        } catch (parseError) {
+          // A line cut short by a crash; the next attempt is on its own line
+        }
+      }
+      return entries;
+    }
+  };
+}
+
+module.exports = { createWebhookStore };